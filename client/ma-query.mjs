@@ -0,0 +1,253 @@
+// client/ma-query.mjs
+// Query API over the built dataset, for Node (18+) and the browser. It reads the same
+// files index.html does: zip-index.json -> county FIPS -> by-county/<fips>.json (and its
+// carrier shards), plan-details/<CODE>.json and county-index.json.
+//
+// A source ("base") is the directory or URL that holds `years/`:
+//   - a local build: "dist" or "/path/to/dist" (Node only, read from disk)
+//   - a site: "https://example.org/ma" or, in the browser, "" for the page's own origin
+// With several bases, each file comes from the first one that has it — by default the
+// published GitHub Pages site, then raw.githubusercontent.com.
+//
+//   import { createClient } from "./client/ma-query.mjs";
+//   const ma = createClient({ base: "dist", year: 2025 });
+//   const rows = await ma.findPlansByZip("55401");
+
+export const PUBLISHED_BASES = [
+  "https://fitzgema.github.io/MA-PartD-CY2025",
+  "https://raw.githubusercontent.com/fitzgema/MA-PartD-CY2025/main"
+];
+export const DEFAULT_YEAR = 2025;
+
+/**
+ * A plan segment as listed in a county file, plus where it was found.
+ * @typedef {object} CountyPlan
+ * @property {string} contractId
+ * @property {string} planId
+ * @property {string} segmentId
+ * @property {string} planCode      "contract-plan", the CODE in plans/<CODE>.json
+ * @property {string} planKey       "contract-plan-segment"
+ * @property {string} orgName
+ * @property {string} parentCarrier
+ * @property {string} marketingName
+ * @property {string} planType
+ * @property {string|null} snpType
+ * @property {{type: string, integration: string|null, conditions: string[]|null}} [snp]  type: "none", "D-SNP", "C-SNP", "I-SNP" or "SNP"
+ * @property {boolean} [employerGroup]  employer group plan (plan ID 800-899)
+ * @property {number|null} premium
+ * @property {number|null} moop
+ * @property {number|null} starRating
+ * @property {string} state
+ * @property {string} county        county name
+ * @property {string} county_fips
+ * @property {number} [countyWeight] the county's share of the ZIP (findPlansByZip only)
+ */
+
+/**
+ * @typedef {object} SearchFilters
+ * @property {string} [state]        two-letter state; without it every county is read
+ * @property {string} [type]         plan type contains this ("HMO", "Local PPO", ...)
+ * @property {boolean|string} [snp]  true: any SNP; false: no SNPs; text: SNP type contains it ("Dual", "D-SNP")
+ * @property {number} [maxPremium]   monthly premium at most this
+ * @property {number} [minStars]     star rating at least this (unrated plans are left out)
+ * @property {string} [carrier]      parent carrier or organization name contains this
+ * @property {string} [q]            plan name, organization, parent carrier or plan code contains this
+ * @property {number} [year]
+ */
+
+/**
+ * @typedef {object} ClientOptions
+ * @property {string|string[]} [base]  where `years/` lives; tried in order
+ * @property {number} [year]           default contract year
+ * @property {typeof fetch} [fetch]    fetch to use for URLs (default: the global one)
+ */
+
+/**
+ * Create a client. Every file is loaded at most once per client; `clearCache()` forgets them.
+ * @param {ClientOptions} [options]
+ */
+export function createClient({ base = PUBLISHED_BASES, year = DEFAULT_YEAR, fetch: fetchFn = globalThis.fetch } = {}) {
+  const bases = (Array.isArray(base) ? base : [base]).map((b) => String(b).replace(/\/+$/, ""));
+  const cache = new Map(); // "year/rel" -> Promise(json | null)
+
+  /**
+   * A file under years/<year>/, or null when no base has it.
+   * @param {string} rel  e.g. "county-index.json"
+   * @param {number} [y]
+   * @returns {Promise<any|null>}
+   */
+  function getJson(rel, y = year) {
+    const key = `${y}/${rel}`;
+    if (!cache.has(key)) cache.set(key, loadFirst(bases, `years/${y}/${rel}`, fetchFn));
+    return cache.get(key);
+  }
+
+  /**
+   * Every plan segment sold in a county, with carrier shards fetched when the county is sharded.
+   * @param {string} fips  5-digit county FIPS
+   * @param {{year?: number}} [opts]
+   * @returns {Promise<CountyPlan[]>}
+   */
+  async function findPlansByCounty(fips, { year: y = year } = {}) {
+    const file = await getJson(`by-county/${String(fips).padStart(5, "0")}.json`, y);
+    if (!file) return [];
+    let plans = (file.carriers || []).flatMap((c) => c.plans || []);
+    if (file.manifest?.sharded) {
+      const shards = await Promise.all(file.manifest.shards.map((s) => getJson(s.file, y)));
+      plans = shards.filter(Boolean).flatMap((s) => s.plans || []);
+    }
+    return plans.map((p) => ({
+      ...p,
+      planCode: `${p.contractId}-${p.planId}`,
+      planKey: `${p.contractId}-${p.planId}-${p.segmentId}`,
+      state: file.state,
+      county: file.county_name,
+      county_fips: file.county_fips
+    }));
+  }
+
+  /**
+   * Plans in every county a ZIP touches, heaviest county first (see zip-index.json).
+   * @param {string} zip
+   * @param {{year?: number}} [opts]
+   * @returns {Promise<CountyPlan[]>}
+   */
+  async function findPlansByZip(zip, { year: y = year } = {}) {
+    const index = await getJson("zip-index.json", y);
+    const entry = (index || []).find((z) => z.zip === String(zip).trim());
+    if (!entry) return [];
+    const lists = await Promise.all(
+      entry.counties.map(async ([fips, weight]) =>
+        (await findPlansByCounty(fips, { year: y })).map((p) => ({ ...p, countyWeight: weight }))
+      )
+    );
+    return lists.flat();
+  }
+
+  /**
+   * A plan's details (plan-details/<CODE>.json). A "contract-plan-segment" key gets that
+   * segment's (plan-details/<CODE>-<SEGMENT>.json), or the plan's in builds without them.
+   * @param {string} code  "H1234-001" or "H1234-001-000"
+   * @param {number} [y]
+   * @returns {Promise<object|null>}
+   */
+  async function getPlan(code, y = year) {
+    const [contract, plan, segment] = String(code).trim().toUpperCase().split("-");
+    if (!contract || !plan) return null;
+    const file = `${contract}-${plan.padStart(3, "0")}`;
+    const seg = segment ? segment.padStart(3, "0") : null;
+    const own = seg && (await getJson(`plan-details/${file}-${seg}.json`, y));
+    if (own) return own;
+    const details = await getJson(`plan-details/${file}.json`, y);
+    return seg && details?.segments && !details.segments.includes(seg) ? null : details;
+  }
+
+  /**
+   * plan-details merged with the plan's segments (plans/<CODE>.json) and each segment's
+   * counties (by-plan/<CODE>.json). With a "contract-plan-segment" key, only that segment.
+   * @param {string} code  "H1234-001" or "H1234-001-000"
+   * @param {number} [y]
+   * @returns {Promise<object|null>}
+   */
+  async function getPlanRecord(code, y = year) {
+    const [contract, plan, segment] = String(code).trim().toUpperCase().split("-");
+    if (!contract || !plan) return null;
+    const file = `${contract}-${plan.padStart(3, "0")}.json`;
+    const [details, segments, counties] = await Promise.all([
+      getJson(`plan-details/${file}`, y),
+      getJson(`plans/${file}`, y),
+      getJson(`by-plan/${file}`, y)
+    ]);
+    if (!details && !segments) return null;
+    const want = segment ? segment.padStart(3, "0") : null;
+    const picked = (segments || []).filter((s) => !want || s.segmentId === want);
+    if (want && !picked.length) return null;
+    const { schemaVersion: _version, segments: _ids, ...rest } = details || {};
+    return {
+      ...rest,
+      segments: picked.map(({ schemaVersion: _v, ...s }) => ({
+        ...s,
+        counties: (counties || [])
+          .filter((c) => c.segmentId === s.segmentId)
+          .map((c) => ({ state: c.state, county: c.county, county_fips: c.county_fips, premium: c.premium }))
+      }))
+    };
+  }
+
+  /**
+   * Plans matching every given filter, one row per plan segment and county.
+   * @param {SearchFilters} [filters]
+   * @returns {Promise<CountyPlan[]>}
+   */
+  async function searchPlans({ year: y = year, ...filters } = {}) {
+    const counties = ((await getJson("county-index.json", y)) || []).filter(
+      (c) => !filters.state || c.state === filters.state.toUpperCase()
+    );
+    const lists = await Promise.all(counties.map((c) => findPlansByCounty(c.fips, { year: y })));
+    return filterPlans(lists.flat(), filters);
+  }
+
+  return {
+    getJson,
+    findPlansByCounty,
+    findPlansByZip,
+    getPlan,
+    getPlanRecord,
+    searchPlans,
+    clearCache: () => cache.clear()
+  };
+}
+
+/**
+ * The rows matching every filter in `filters` (`state` and `year` are ignored here).
+ * @param {CountyPlan[]} rows
+ * @param {SearchFilters} filters
+ * @returns {CountyPlan[]}
+ */
+export function filterPlans(rows, filters = {}) {
+  return rows.filter((p) => matches(p, filters));
+}
+
+function matches(p, { type, snp, maxPremium, minStars, carrier, q }) {
+  const has = (v, text) => String(v ?? "").toLowerCase().includes(String(text).toLowerCase());
+  if (type && !has(p.planType, type)) return false;
+  const isSnp = p.snp ? p.snp.type !== "none" : /dual|chronic|disabling|institution|\b[dci]-?snp\b|^\s*(yes|y|true|snp|special needs( plan)?)\s*$/i.test(p.snpType ?? "");
+  if (snp === true && !isSnp) return false;
+  if (snp === false && isSnp) return false;
+  if (typeof snp === "string" && !has(p.snpType, snp) && !has(p.snp?.type, snp)) return false;
+  if (maxPremium != null && !(typeof p.premium === "number" && p.premium <= maxPremium)) return false;
+  if (minStars != null && !(typeof p.starRating === "number" && p.starRating >= minStars)) return false;
+  if (carrier && !has(p.parentCarrier, carrier) && !has(p.orgName, carrier)) return false;
+  if (q && ![p.marketingName, p.orgName, p.parentCarrier, p.planCode].some((v) => has(v, q))) return false;
+  return true;
+}
+
+// First base that has `rel`, parsed; null when none does
+async function loadFirst(bases, rel, fetchFn) {
+  for (const b of bases) {
+    try {
+      if (isLocal(b)) return JSON.parse(await readLocal(b, rel));
+      const res = await fetchFn(b ? `${b}/${rel}` : rel);
+      if (!res.ok) throw new Error(res.status);
+      return await res.json();
+    } catch {
+      /* try the next base */
+    }
+  }
+  return null;
+}
+
+// A directory path when running under Node (and not a URL)
+function isLocal(b) {
+  return typeof process !== "undefined" && Boolean(process.versions?.node) && !/^https?:\/\//i.test(b);
+}
+
+async function readLocal(dir, rel) {
+  const [fs, path, url] = await Promise.all([import("node:fs/promises"), import("node:path"), import("node:url")]);
+  const root = dir.startsWith("file:") ? url.fileURLToPath(dir) : dir || ".";
+  return fs.readFile(path.join(root, ...rel.split("/")), "utf8");
+}
+
+// Convenience functions on a client over the published site
+const published = createClient();
+export const { findPlansByZip, findPlansByCounty, getPlan, searchPlans } = published;
@@ -1,10 +1,21 @@
 // scripts/build_ma_dataset.mjs
 import fs from "node:fs/promises";
 import path from "node:path";
-import fetch from "node-fetch";
-import AdmZip from "adm-zip";
-import { parse as parseCsv } from "csv-parse/sync";
-import * as XLSX from "xlsx";
+import { existsSync, readdirSync } from "node:fs";
+import { createDownloadCache } from "./lib/download-cache.mjs";
+import { loadCarrierAliases } from "./lib/carrier-aliases.mjs";
+import { diffYears, segmentKey } from "./lib/year-diff.mjs";
+import { loadCrosswalks } from "./lib/crosswalk.mjs";
+import { keyFromHeader, pick, padId, findTable } from "./lib/tables.mjs";
+import { createQualityReport, summarizeQualityReport } from "./lib/quality-report.mjs";
+import { loadSchemas, stampSchemaVersion, SCHEMA_VERSION } from "./lib/schemas.mjs";
+import { loadFormularyInputs } from "./lib/formulary.mjs";
+import { loadPbpBenefits } from "./lib/pbp-benefits.mjs";
+import { loadEnrollment, marketShare } from "./lib/enrollment.mjs";
+import { loadStarRatings } from "./lib/star-ratings.mjs";
+import { loadZctaCentroids, buildSpatialIndex } from "./lib/geo.mjs";
+import { buildSearchIndex } from "./lib/search-index.mjs";
+import { loadSnpReport, classifySnp, isEmployerGroup } from "./lib/snp.mjs";
 
 const OUT_DIR = path.resolve("dist");
 const YEARS = (process.env.TARGET_YEARS || "2025")
@@ -12,18 +23,73 @@ const YEARS = (process.env.TARGET_YEARS || "2025")
   .map((s) => Number(s.trim()))
   .filter(Boolean);
 
-const CMS_URL = process.env.CMS_LANDSCAPE_URL; // e.g. https://www.cms.gov/files/zip/cy2025-landscape-202506.1.zip
-if (!CMS_URL) {
-  console.error("Missing CMS_LANDSCAPE_URL secret (direct link to CMS Landscape zip).");
+// Local-input mode: a directory holding the Landscape ZIP(s), the Gazetteer county
+// files and tab20_zcta520_county20_natl.txt. Anything missing there is downloaded.
+const INPUT_DIR = process.env.LOCAL_INPUT_DIR ? path.resolve(process.env.LOCAL_INPUT_DIR) : null;
+// Downloads are kept here (content-addressed) and reused by later runs
+const CACHE_DIR = path.resolve(process.env.DOWNLOAD_CACHE_DIR || ".cache/downloads");
+// BUILD_OFFLINE=1: never touch the network; a file missing locally and in the cache is an error
+const OFFLINE = process.env.BUILD_OFFLINE === "1";
+
+// One Landscape ZIP per contract year: both may list several (comma-separated) sources
+const CMS_URLS = splitList(process.env.CMS_LANDSCAPE_URL); // e.g. https://www.cms.gov/files/zip/cy2025-landscape-202506.1.zip
+const LOCAL_LANDSCAPES = findLocalInputs(process.env.CMS_LANDSCAPE_FILE, (f) => /landscape/i.test(f) && !/pdp/i.test(f) && /\.zip$/i.test(f));
+if (!CMS_URLS.length && !LOCAL_LANDSCAPES.length) {
+  console.error("Missing CMS_LANDSCAPE_URL secret (direct link to CMS Landscape zip), or a Landscape ZIP in LOCAL_INPUT_DIR.");
   process.exit(1);
 }
+// Optional: separate PDP Landscape zip. Without it the PDP table is looked for in the MA zip.
+const PDP_URLS = splitList(process.env.CMS_PDP_LANDSCAPE_URL);
+const LOCAL_PDPS = findLocalInputs(process.env.CMS_PDP_LANDSCAPE_FILE, (f) => /pdp/i.test(f) && /\.zip$/i.test(f));
+// Optional: CMS plan crosswalk file(s) (CSV/XLSX/ZIP), one per year transition
+const CROSSWALK_FILES = findLocalInputs(process.env.CMS_CROSSWALK_FILE, (f) => /crosswalk/i.test(f) && /\.(csv|txt|xlsx?|zip)$/i.test(f));
+// Optional: CMS PBP benefits ZIP(s) (local, or by URL), one per contract year
+const PBP_URLS = splitList(process.env.CMS_PBP_URL);
+const LOCAL_PBPS = findLocalInputs(process.env.CMS_PBP_FILE, (f) => /pbp/i.test(f) && /\.zip$/i.test(f));
+// Optional: extracted CMS Part D formulary / pharmacy network files (see lib/formulary.mjs)
+const FORMULARY_DIR = process.env.FORMULARY_DIR ? path.resolve(process.env.FORMULARY_DIR) : INPUT_DIR;
+// Optional: CMS monthly enrollment by contract/plan/state/county (CPSC) file(s), CSV or ZIP
+const ENROLLMENT_FILES = findLocalInputs(process.env.CMS_ENROLLMENT_FILE, (f) => /cpsc|enrollment/i.test(f) && /\.(csv|zip)$/i.test(f));
+
+// Optional: CMS Star Ratings data table(s) (ZIP, or its CSV/XLSX files), one release per year
+const STARS_FILES = findLocalInputs(process.env.CMS_STARS_FILE, (f) => /star[ _-]*ratings?/i.test(f) && /\.(csv|txt|xlsx?|zip)$/i.test(f));
+// Optional: CMS SNP Comprehensive Report(s) (D-SNP integration levels, C-SNP conditions)
+const SNP_FILES = findLocalInputs(process.env.CMS_SNP_FILE, (f) => /snp/i.test(f) && /\.(csv|txt|xlsx?|zip)$/i.test(f));
 
 // Census ZCTA->County (2020) relationship file (public, no login)
 const ZCTA_COUNTY_URL =
   "https://www2.census.gov/geo/docs/maps-data/data/rel2020/zcta520/tab20_zcta520_county20_natl.txt";
+// Grid cell size (degrees) of the nearby-ZIP index
+const GEO_CELL_DEGREES = Number(process.env.GEO_CELL_DEGREES || 1);
+// Optional: a different ZCTA->County relationship file (e.g. the 2010 one, with population)
+const ZCTA_COUNTY_FILE = process.env.ZCTA_COUNTY_FILE ? path.resolve(process.env.ZCTA_COUNTY_FILE) : null;
 // Census Gazetteer (2020) for county FIPS resolution by state+name
 const GAZ_BASE =
   "https://www2.census.gov/geo/docs/maps-data/data/gazetteer/2020_Gazetteer";
+
+// Typed money/quality fields carried on every plan record
+const AMOUNT_FIELDS = [
+  "premium",
+  "partCPremium",
+  "partDPremium",
+  "moop",
+  "drugDeductible",
+  "starRating",
+  "partBGiveback"
+];
+// Cross-year links attached by annotateCrosswalk
+const CROSSWALK_FIELDS = [
+  "previousPlanCode",
+  "previousPlanKey",
+  "crosswalkStatus",
+  "nextPlanCode",
+  "nextPlanKey",
+  "nextCrosswalkStatus"
+];
+// Fail the build when a year drops more than this share of its MA rows (see quality-report.json)
+const MAX_LOSS_RATE = Number(process.env.QUALITY_MAX_LOSS_RATE ?? 0.05);
+// Counties with more plans than this get per-carrier shard files (see writeCountyFile)
+const COUNTY_SHARD_THRESHOLD = Number(process.env.COUNTY_SHARD_THRESHOLD || 200);
 const STATES = [
   "01","02","04","05","06","08","09","10","11","12","13","15","16","17","18","19","20","21",
   "22","23","24","25","26","27","28","29","30","31","32","33","34","35","36","37","38","39",
@@ -34,14 +100,57 @@ const STATES = [
 await fs.rm(OUT_DIR, { recursive: true, force: true });
 await fs.mkdir(OUT_DIR, { recursive: true });
 
-// 1) Download CMS Landscape ZIP
-const cmsZipPath = path.resolve("cms_landscape.zip");
-await downloadFile(CMS_URL, cmsZipPath);
+// Published schemas; every file written with a kind is stamped and validated against them
+const schemas = await loadSchemas();
+const schemaViolations = []; // [{file, errors}]
+const schemaFiles = new Map(); // path pattern under years/<year>/ -> kind, for schemas.json
+await fs.cp(schemas.dir, path.join(OUT_DIR, "schemas"), { recursive: true });
+
+const cache = await createDownloadCache({ dir: CACHE_DIR, offline: OFFLINE });
+if (INPUT_DIR) console.log(`[INFO] Local inputs: ${INPUT_DIR}`);
 
-// 2) Load Landscape rows from the correct file in the ZIP
-const { rows, sourceName } = await loadLandscapeRows(cmsZipPath);
-console.log(`[INFO] Using CMS file inside ZIP: ${sourceName}`);
-console.log(`[INFO] Total rows loaded: ${rows.length}`);
+// 1) Locate (or download) the CMS Landscape ZIP(s)
+const cmsZipPaths = LOCAL_LANDSCAPES.length
+  ? LOCAL_LANDSCAPES
+  : await Promise.all(CMS_URLS.map((u) => cache.getPath(u)));
+
+// 2) Load Landscape rows from the correct file in each ZIP, and resolve its headers
+const landscapeTables = [];
+for (const zipPath of cmsZipPaths) {
+  const { rows, sourceName } = await loadLandscapeRows(zipPath);
+  console.log(`[INFO] Using CMS file inside ZIP: ${sourceName}`);
+  console.log(`[INFO] Total rows loaded: ${rows.length}`);
+  landscapeTables.push({ zipPath, rows, sourceName, keys: detectLandscapeKeys(rows) });
+}
+
+// 2b) Standalone PDPs: separate PDP Landscape ZIP(s), else a PDP table in each MA ZIP,
+//     else any S-prefixed rows of the MA table
+const pdpTables = [];
+if (LOCAL_PDPS.length || PDP_URLS.length) {
+  const pdpZipPaths = LOCAL_PDPS.length ? LOCAL_PDPS : await Promise.all(PDP_URLS.map((u) => cache.getPath(u)));
+  for (const pdpZipPath of pdpZipPaths) {
+    const found = loadPdpRows(pdpZipPath);
+    if (!found) throw new Error(`Could not find a PDP Landscape table in ${path.basename(pdpZipPath)}.`);
+    pdpTables.push(found.rows);
+    console.log(`[INFO] Using PDP file: ${found.sourceName} (${found.rows.length} rows)`);
+  }
+} else {
+  for (const t of landscapeTables) {
+    const found = loadPdpRows(t.zipPath);
+    if (found && found.sourceName !== t.sourceName) {
+      pdpTables.push(found.rows);
+      console.log(`[INFO] Using PDP table inside ZIP: ${found.sourceName} (${found.rows.length} rows)`);
+    } else {
+      // Only the MA table's own S-contract rows, if it has any
+      const contractKey = keyFromHeader(t.rows[0], ["Contract ID", "Contract Number"]);
+      const sRows = contractKey ? t.rows.filter((r) => /^S/i.test(String(r[contractKey] ?? "").trim())) : [];
+      if (sRows.length) {
+        pdpTables.push(sRows);
+        console.log(`[INFO] Using ${sRows.length} PDP row(s) of ${t.sourceName}`);
+      }
+    }
+  }
+}
 
 // 3) Build county FIPS lookup (if CSV lacks an explicit county FIPS)
 const countyFipsMap = await buildCountyFipsMap();
@@ -49,43 +158,83 @@ const countyFipsMap = await buildCountyFipsMap();
 // 4) Build ZCTA->County index (for the ZIP entry point)
 const zipIndex = await buildZipIndex();
 
+// 4a) ZCTA centroids (for the nearby-ZIP search); optional, so a build without them still runs
+const zctaCentroids = await loadCentroids();
+
+// 4b) Carrier alias resolver (raw organization name -> canonical parent)
+const carrierAliases = await loadCarrierAliases("data/aliases.json");
+
+// 4c) Plan crosswalk (links renewing plans across years)
+const crosswalks = CROSSWALK_FILES.length ? loadCrosswalks(CROSSWALK_FILES) : null;
+
+// 4d) Part D formularies (one release, for the contract year it names)
+const formulary = FORMULARY_DIR ? await loadFormularyInputs(FORMULARY_DIR) : null;
+if (formulary) {
+  console.log(
+    `[INFO] Formulary CY${formulary.year ?? "?"}: ${formulary.formularies.size} formulary(ies), ${formulary.plans.size} plan(s), ${formulary.drugs.size} named drug(s)`
+  );
+}
+
+// 4e) PBP supplemental benefits, by the contract year in each ZIP's name
+const pbpByYear = new Map(); // year (or null) -> Map(contract-plan-segment -> benefits)
+const pbpSources = LOCAL_PBPS.length
+  ? LOCAL_PBPS.map((f) => ({ zipPath: f, name: path.basename(f) }))
+  : await Promise.all(PBP_URLS.map(async (u) => ({ zipPath: await cache.getPath(u), name: path.basename(new URL(u).pathname) })));
+for (const { zipPath, name } of pbpSources) {
+  const fileYear = Number((name.match(/20\d\d/g) || []).pop()) || null;
+  const benefits = loadPbpBenefits(zipPath);
+  console.log(`[INFO] PBP benefits${fileYear ? ` CY${fileYear}` : ""}: ${benefits.size} plan segment(s)`);
+  pbpByYear.set(fileYear, benefits);
+}
+
+// 4f) Enrollment by contract year (the file's year); a file without one applies to every year.
+//     With several files for a year, the latest month wins.
+const enrollmentByYear = new Map(); // year (or null) -> loadEnrollment() result
+for (const file of ENROLLMENT_FILES) {
+  const enrollment = await loadEnrollment(file);
+  console.log(`[INFO] Enrollment ${enrollment.period ?? path.basename(file)}: ${enrollment.plans.size} MA plan(s)`);
+  const prev = enrollmentByYear.get(enrollment.year);
+  if (!prev || (enrollment.month ?? 0) >= (prev.month ?? 0)) enrollmentByYear.set(enrollment.year, enrollment);
+}
+
+// 4g) Star Ratings by ratings year (= contract year): Map(year or null -> Map(contractId -> stars))
+const starsByYear = STARS_FILES.length ? loadStarRatings(STARS_FILES) : new Map();
+for (const [ratingsYear, contracts] of starsByYear) {
+  console.log(`[INFO] Star Ratings${ratingsYear ? ` ${ratingsYear}` : ""}: ${contracts.size} contract(s)`);
+}
+
+// 4h) SNP report by the year in its file name: Map(year or null -> Map(contract-plan -> {type, integration, conditions}))
+const snpByYear = SNP_FILES.length ? loadSnpReport(SNP_FILES) : new Map();
+
 // 5) Process each target year
+const bucketsByYear = new Map(); // year -> carriersByCounty, for the year-over-year diff
 for (const year of YEARS) {
   const yearDir = path.join(OUT_DIR, "years", String(year));
   await fs.mkdir(path.join(yearDir, "by-county"), { recursive: true });
 
-  // --- Detect headers once (robust to label changes) ---
-  const yearKey = keyFromHeader(rows[0], ["Contract Year", "contract year", "Year"]);
-  const contractKey = keyFromHeader(rows[0], ["Contract ID", "Contract Number", "contract id", "contract number"]);
-  const planKey = keyFromHeader(rows[0], ["Plan ID", "plan id"]);
-  const segmentKey = keyFromHeader(rows[0], ["Segment ID", "segment id"]); // ← NEW
-  const fipsKey = keyFromHeader(rows[0], ["County FIPS", "County Code (FIPS)", "County Code", "County FIPS Code"]);
-  const stateKey = keyFromHeader(rows[0], ["State Abbreviation", "State Code", "State"]);
-  const countyNameKey = keyFromHeader(rows[0], ["County Name"]);
-  const orgNameKey = keyFromHeader(rows[0], ["Organization Marketing Name", "Parent Organization Name"]);
-  const planNameKey = keyFromHeader(rows[0], ["Plan Name"]);
-  const planTypeKey = keyFromHeader(rows[0], ["Plan Type"]);
-  const snpTypeKey = keyFromHeader(rows[0], ["SNP Type", "Special Needs Plan (SNP) Indicator"]);
-
-  if (!yearKey || !contractKey || !planKey) {
-    console.error("[ERROR] Could not resolve critical headers:", { yearKey, contractKey, planKey });
-    console.error("[ERROR] Row0 headers:", Object.keys(rows[0]));
-    process.exit(1);
-  }
-
   // --- Filter to this year and MA by Contract ID prefix (H or R) ---
-  const yrRows = rows.filter((r) => {
-    const cyRaw = String(r[yearKey] ?? "");
-    const cyNum = Number((cyRaw.match(/\d{4}/) || [])[0]); // extract 4-digit year anywhere in the cell
-    const cid = String(r[contractKey] ?? "").trim().toUpperCase();
-    const isMA = cid.startsWith("H") || cid.startsWith("R"); // MA / MA-PD
-    return cyNum === year && isMA;
-  });
+  const yrRows = [];
+  for (const { rows, keys } of landscapeTables) {
+    for (const row of rows) {
+      const cyRaw = String(row[keys.yearKey] ?? "");
+      const cyNum = Number((cyRaw.match(/\d{4}/) || [])[0]); // extract 4-digit year anywhere in the cell
+      const cid = String(row[keys.contractKey] ?? "").trim().toUpperCase();
+      const isMA = cid.startsWith("H") || cid.startsWith("R"); // MA / MA-PD
+      if (cyNum === year && isMA) yrRows.push({ row, keys });
+    }
+  }
   console.log(`[INFO] Year ${year}: MA rows: ${yrRows.length}`);
 
   const carriersByCounty = new Map(); // county_fips -> {state, county_name, carriers: Map}
+  const unmatchedOrgs = new Map(); // raw orgName with no alias -> {contractIds, plans, counties}
+  const quality = createQualityReport(year);
+  const snpReport = snpByYear.get(year) ?? snpByYear.get(null) ?? null;
+
+  for (const { row: r, keys } of yrRows) {
+    quality.row();
+    const { fipsKey, stateKey, countyNameKey, contractKey, planKey, segmentKey } = keys;
+    const { orgNameKey, planNameKey, planTypeKey, snpTypeKey, amountKeys } = keys;
 
-  for (const r of yrRows) {
     // 1) County FIPS (direct if present)
     let countyFips = cleanFips(pick(r, [fipsKey]));
     if (!countyFips) {
@@ -99,21 +248,37 @@ for (const year of YEARS) {
     const state = String(pick(r, [stateKey]) || "").trim();
     const countyName = String(pick(r, [countyNameKey]) || "").trim();
     if (!countyFips) {
-      if (!state || !countyName) continue; // insufficient info
+      if (!state || !countyName) {
+        quality.skip("missing-state-or-county", r, { state, countyName });
+        continue;
+      }
       countyFips = countyFipsMap.get(keyCounty(state, countyName));
-      if (!countyFips) continue; // couldn't resolve
+      if (!countyFips) {
+        quality.skip("unresolved-county", r, { state, countyName });
+        quality.unresolvedCounty(state, countyName, normalizeCountyName(countyName));
+        continue;
+      }
     }
 
     // Contract/plan + org fields
-    const contractId = String(pick(r, [contractKey]) || "").trim();
-    const planId = String(pick(r, [planKey]) || "").trim();
-    if (!contractId || !planId) continue;
+    const contractId = String(pick(r, [contractKey]) || "").trim().toUpperCase();
+    const planId = padId(pick(r, [planKey]));
+    if (!contractId || !planId) {
+      quality.skip("missing-contract-or-plan", r, { contractId, planId });
+      continue;
+    }
 
-    const segmentId = String(pick(r, [segmentKey]) ?? "").trim() || "000"; // ← NEW (default to 000)
+    const segmentId = padId(pick(r, [segmentKey])) || "000"; // ← NEW (default to 000)
+    if (!quality.firstInCounty(`${contractId}-${planId}-${segmentId}`, countyFips)) continue; // duplicate row
     const orgName = (String(pick(r, [orgNameKey]) || "").trim()) || contractId;
+    const aliasParent = carrierAliases.resolve(orgName);
+    const parentCarrier = aliasParent || orgName;
     const marketingName = String(pick(r, [planNameKey]) || "").trim();
     const planType = (String(pick(r, [planTypeKey]) || "").trim()) || null;
     const snpType = ((String(pick(r, [snpTypeKey]) || "").trim()) || null) ?? null;
+    const snp = classifySnp(snpType, marketingName, snpReport?.get(planCode(contractId, planId)));
+    const employerGroup = isEmployerGroup(planId, planType);
+    const amounts = readAmounts(r, amountKeys);
 
     // Bucket carriers by county
     let bucket = carriersByCounty.get(countyFips);
@@ -127,51 +292,139 @@ for (const year of YEARS) {
       carriersByCounty.set(countyFips, bucket);
     }
 
-    const key = orgName || contractId;
-
-    let carrier = bucket.carriers.get(key);
+    // Carriers are grouped by canonical parent; raw names are kept alongside
+    let carrier = bucket.carriers.get(parentCarrier);
     if (!carrier) {
-      carrier = { orgName: key, contractIds: new Set(), plans: [] };
-      bucket.carriers.set(key, carrier);
+      carrier = { parentCarrier, orgNames: new Set(), contractIds: new Set(), plans: [] };
+      bucket.carriers.set(parentCarrier, carrier);
     }
+    carrier.orgNames.add(orgName);
     carrier.contractIds.add(contractId);
 
+    if (!aliasParent) {
+      let u = unmatchedOrgs.get(orgName);
+      if (!u) {
+        u = { contractIds: new Set(), plans: new Set(), counties: new Set() };
+        unmatchedOrgs.set(orgName, u);
+      }
+      u.contractIds.add(contractId);
+      u.plans.add(planCode(contractId, planId));
+      u.counties.add(countyFips);
+    }
+
     // Include segmentId in output
-    carrier.plans.push({ contractId, planId, segmentId, marketingName, planType, snpType });
+    carrier.plans.push({
+      contractId,
+      planId,
+      segmentId,
+      orgName,
+      parentCarrier,
+      marketingName,
+      planType,
+      snpType,
+      snp,
+      employerGroup,
+      ...amounts
+    });
   }
 
+  if (crosswalks) annotateCrosswalk(carriersByCounty, year);
+  const enrollment = enrollmentByYear.get(year) ?? enrollmentByYear.get(null) ?? null;
+  if (enrollment) annotateEnrollment(carriersByCounty, enrollment);
+
   // Write per-county files + county index
   const countyIndex = [];
   for (const [fips, bucket] of carriersByCounty.entries()) {
-    const carriers = Array.from(bucket.carriers.values()).map((c) => ({
-      orgName: c.orgName,
-      contractIds: Array.from(c.contractIds),
-      plans: c.plans.slice(0, 20) // cap to keep files small
-    }));
-    const out = {
-      year,
-      county_fips: fips,
-      state: bucket.state,
-      county_name: bucket.county_name,
-      carriers
-    };
-    await fs.writeFile(
-      path.join(yearDir, "by-county", `${fips}.json`),
-      JSON.stringify(out, null, 2)
-    );
+    await writeCountyFile(yearDir, year, fips, bucket);
     countyIndex.push({ fips, state: bucket.state, name: bucket.county_name });
   }
   countyIndex.sort((a, b) => a.fips.localeCompare(b.fips));
-  await fs.writeFile(
-    path.join(yearDir, "county-index.json"),
-    JSON.stringify(countyIndex, null, 2)
-  );
+  await writeJson(path.join(yearDir, "county-index.json"), countyIndex, "county-index");
 
   // Write ZIP index
-  await fs.writeFile(
-    path.join(yearDir, "zip-index.json"),
-    JSON.stringify(zipIndex, null, 2)
-  );
+  await writeJson(path.join(yearDir, "zip-index.json"), zipIndex, "zip-index");
+
+  // Write the per-plan and per-ZIP files that index.html reads
+  const benefits = pbpByYear.get(year) ?? pbpByYear.get(null) ?? null;
+  const stars = starsByYear.get(year) ?? starsByYear.get(null) ?? null;
+  const planCount = await writePlanFiles(yearDir, year, carriersByCounty, benefits, stars);
+  const zipCount = await writeZipFiles(yearDir, zipIndex, carriersByCounty);
+  console.log(`[INFO] Year ${year}: wrote ${planCount} plan(s), ${zipCount} ZIP file(s)`);
+  if (zctaCentroids) {
+    const cellCount = await writeGeoFiles(yearDir, zctaCentroids, zipIndex);
+    console.log(`[INFO] Year ${year}: wrote ${cellCount} nearby-ZIP grid cell(s)`);
+  }
+  const docCount = await writeSearchFiles(yearDir, carriersByCounty);
+  console.log(`[INFO] Year ${year}: wrote a search index over ${docCount} carrier(s), plan(s) and county(ies)`);
+
+  // Organizations that matched no alias, most plans first, so data/aliases.json can be kept current
+  const unmatched = Array.from(unmatchedOrgs.entries())
+    .map(([orgName, u]) => ({
+      orgName,
+      contractIds: Array.from(u.contractIds).sort(),
+      planCount: u.plans.size,
+      countyCount: u.counties.size
+    }))
+    .sort((a, b) => b.planCount - a.planCount || a.orgName.localeCompare(b.orgName));
+  await writeJson(path.join(yearDir, "unmatched-carriers.json"), unmatched);
+  if (unmatched.length) {
+    console.log(`[INFO] Year ${year}: ${unmatched.length} organization(s) matched no carrier alias (see unmatched-carriers.json):`);
+    for (const u of unmatched.slice(0, 10)) console.log(`         ${u.orgName} — ${u.planCount} plan(s), ${u.contractIds.join(", ")}`);
+  }
+
+  if (enrollment) {
+    const n = await writeMarketShareFiles(yearDir, year, carriersByCounty, enrollment.period);
+    console.log(`[INFO] Year ${year}: wrote market share for ${n} state(s) (enrollment ${enrollment.period ?? "period unknown"})`);
+  }
+
+  if (formulary && (formulary.year ?? year) === year) {
+    const n = await writeFormularyFiles(yearDir, year, formulary);
+    console.log(`[INFO] Year ${year}: wrote ${n} formulary file(s)`);
+  }
+
+  // Standalone Part D plans, by PDP region
+  const regionCount = await writePdpFiles(yearDir, year, pdpTables);
+  console.log(`[INFO] Year ${year}: wrote ${regionCount} PDP region file(s)`);
+
+  // Rows dropped or unresolved this year; fails the build above MAX_LOSS_RATE
+  const report = quality.finish(zipIndex, carriersByCounty);
+  await writeJson(path.join(yearDir, "quality-report.json"), report);
+  for (const line of summarizeQualityReport(report)) console.log(`[INFO] ${line}`);
+  if (report.lossRate > MAX_LOSS_RATE) {
+    console.error(
+      `Year ${year}: ${(report.lossRate * 100).toFixed(2)}% of MA rows were skipped, over QUALITY_MAX_LOSS_RATE=${MAX_LOSS_RATE}. See ${path.relative(process.cwd(), path.join(yearDir, "quality-report.json"))}.`
+    );
+    process.exit(1);
+  }
+
+  // The schema version of this year's files, once per kind rather than on every array row
+  await writeJson(path.join(yearDir, "schemas.json"), { files: Object.fromEntries([...schemaFiles].sort()) }, "schemas");
+  schemaFiles.clear();
+
+  // Any file that does not match its schema fails the build
+  if (schemaViolations.length) {
+    console.error(`Year ${year}: ${schemaViolations.length} file(s) do not match schema v${SCHEMA_VERSION}:`);
+    for (const { file, errors } of schemaViolations.slice(0, 20)) {
+      console.error(`  ${path.relative(OUT_DIR, file)}`);
+      for (const e of errors.slice(0, 5)) console.error(`    ${e.path}: ${e.message}`);
+    }
+    process.exit(1);
+  }
+
+  if (carriersByCounty.size) bucketsByYear.set(year, carriersByCounty);
+}
+
+// 6) Year-over-year changes between consecutive built years
+const builtYears = Array.from(bucketsByYear.keys()).sort((a, b) => a - b);
+for (let i = 1; i < builtYears.length; i++) {
+  const [previousYear, year] = [builtYears[i - 1], builtYears[i]];
+  // Follow the crosswalk when it covers this transition; same key otherwise
+  const xw = year - previousYear === 1 ? crosswalks?.transition(year) : null;
+  const link = (key) => (xw?.prevOf.has(key) ? xw.prevOf.get(key).key : key);
+  const mergedInto = (key) => xw?.nextOf.get(key)?.key ?? null;
+  const diff = diffYears(bucketsByYear.get(previousYear), bucketsByYear.get(year), { link, mergedInto });
+  const counts = await writeChangeFiles(path.join(OUT_DIR, "years", String(year)), year, previousYear, diff);
+  console.log(`[INFO] Changes ${previousYear}→${year}: ${counts.counties} county file(s), ${counts.plans} plan file(s)`);
 }
 
 // copy aliases if present
@@ -181,28 +434,110 @@ try {
   /* noop */
 }
 
+console.log(`[INFO] Downloads: ${cache.stats.requests} network request(s), ${cache.stats.hits} cache hit(s) (${CACHE_DIR})`);
 console.log("Build complete. See ./dist");
 
 /* ---------------- helpers ---------------- */
 
-function keyFromHeader(row0, candidates) {
-  if (!row0) return undefined;
-  const keys = Object.keys(row0);
-  for (const want of candidates) {
-    const hit = keys.find(
-      (k) => k.trim().toLowerCase() === String(want).trim().toLowerCase()
-    );
-    if (hit) return hit;
+// File key used by index.html: `${contractId}-${planId}` (segments share one file)
+function planCode(contractId, planId) {
+  return `${contractId}-${planId}`;
+}
+
+// Detect the Landscape headers once per table (robust to label changes)
+function detectLandscapeKeys(rows) {
+  const row0 = rows[0];
+  const yearKey = keyFromHeader(row0, ["Contract Year", "contract year", "Year"]);
+  const contractKey = keyFromHeader(row0, ["Contract ID", "Contract Number", "contract id", "contract number"]);
+  const planKey = keyFromHeader(row0, ["Plan ID", "plan id"]);
+  const segmentKey = keyFromHeader(row0, ["Segment ID", "segment id"]); // ← NEW
+  const fipsKey = keyFromHeader(row0, ["County FIPS", "County Code (FIPS)", "County Code", "County FIPS Code"]);
+  const stateKey = keyFromHeader(row0, ["State Abbreviation", "State Code", "State"]);
+  const countyNameKey = keyFromHeader(row0, ["County Name"]);
+  const orgNameKey = keyFromHeader(row0, ["Organization Marketing Name", "Parent Organization Name"]);
+  const planNameKey = keyFromHeader(row0, ["Plan Name"]);
+  const planTypeKey = keyFromHeader(row0, ["Plan Type"]);
+  const snpTypeKey = keyFromHeader(row0, ["SNP Type", "Special Needs Plan (SNP) Indicator"]);
+
+  // Money/quality columns: plan field -> header key
+  const amountKeys = {
+    partCPremium: keyFromHeader(row0, ["Part C Premium", "Part C Basic Premium", "Monthly Part C Premium"]),
+    partDPremium: keyFromHeader(row0, ["Part D Total Premium", "Part D Premium", "Part D Basic Premium", "Monthly Part D Premium"]),
+    premium: keyFromHeader(row0, [
+      "Monthly Consolidated Premium (Includes Part C + D)",
+      "Monthly Consolidated Premium",
+      "Total Monthly Premium",
+      "Total Premium"
+    ]),
+    moop: keyFromHeader(row0, [
+      "In-Network Maximum Out-of-Pocket (MOOP) Amount",
+      "In-Network MOOP Amount",
+      "In-Network MOOP",
+      "MOOP"
+    ]),
+    drugDeductible: keyFromHeader(row0, ["Annual Drug Deductible", "Drug Deductible", "Part D Drug Deductible"]),
+    starRating: keyFromHeader(row0, ["Overall Star Rating", "Star Rating"]),
+    partBGiveback: keyFromHeader(row0, ["Part B Premium Reduction", "Part B Premium Buy-Down", "Part B Giveback"])
+  };
+  const missingAmounts = Object.keys(amountKeys).filter((k) => !amountKeys[k]);
+  if (missingAmounts.length) console.warn(`[WARN] No column found for: ${missingAmounts.join(", ")}`);
+
+  if (!yearKey || !contractKey || !planKey) {
+    console.error("[ERROR] Could not resolve critical headers:", { yearKey, contractKey, planKey });
+    console.error("[ERROR] Row0 headers:", Object.keys(row0));
+    process.exit(1);
+  }
+
+  return {
+    yearKey,
+    contractKey,
+    planKey,
+    segmentKey,
+    fipsKey,
+    stateKey,
+    countyNameKey,
+    orgNameKey,
+    planNameKey,
+    planTypeKey,
+    snpTypeKey,
+    amountKeys
+  };
+}
+
+// "$1,234.00" -> 1234; "4.5 out of 5" -> 4.5; "Not Applicable" -> null (text kept by caller)
+function parseAmount(v) {
+  if (typeof v === "number") return { value: v };
+  const raw = String(v ?? "").trim();
+  if (!raw) return { value: null };
+  const m = raw.replace(/[$,]/g, "").match(/-?\d+(?:\.\d+)?/);
+  if (m) return { value: Number(m[0]) };
+  return { value: null, raw };
+}
+
+// Read every money/quality column into typed numbers. Cells without a number
+// ("Not Applicable", "Plan too new to be measured") also keep `<field>Raw`.
+function readAmounts(row, amountKeys) {
+  const out = {};
+  for (const [field, key] of Object.entries(amountKeys)) {
+    const { value, raw } = parseAmount(pick(row, [key]));
+    out[field] = value;
+    if (raw) out[`${field}Raw`] = raw;
+  }
+  // Older files have no consolidated column
+  if (out.premium == null && !out.premiumRaw && out.partCPremium != null && out.partDPremium != null) {
+    out.premium = Math.round((out.partCPremium + out.partDPremium) * 100) / 100;
   }
-  return undefined;
+  return out;
 }
 
-function pick(obj, keys) {
-  for (const k of keys) {
-    if (!k) continue;
-    if (Object.prototype.hasOwnProperty.call(obj, k)) return obj[k];
+// Copy the money/quality fields (and any `<field>Raw`) off a plan record
+function amountFields(p) {
+  const out = {};
+  for (const field of AMOUNT_FIELDS) {
+    if (p[field] !== undefined) out[field] = p[field];
+    if (p[`${field}Raw`] !== undefined) out[`${field}Raw`] = p[`${field}Raw`];
   }
-  return undefined;
+  return out;
 }
 
 function cleanFips(v) {
@@ -225,23 +560,562 @@ function normalizeCountyName(name) {
     .trim();
 }
 
-async function loadLandscapeRows(zipPath) {
-  const zip = new AdmZip(zipPath);
-  const entries = zip.getEntries();
-
-  // 1) try CSVs first: find a CSV that has at least YEAR + (CONTRACT & PLAN) + COUNTY info
-  const csvCandidates = entries.filter((e) => e.entryName.toLowerCase().endsWith(".csv"));
-  for (const e of csvCandidates) {
-    const buf = e.getData();
-    const txt = buf.toString("utf8");
-    let rows;
-    try {
-      rows = parseCsv(txt, { columns: true, skip_empty_lines: true });
-    } catch {
+// Write by-county/<fips>.json with every plan. Up to COUNTY_SHARD_THRESHOLD plans the
+// carriers carry their plans inline; above it each carrier gets a summary plus a link
+// to by-county/<fips>/<carrier>.json holding its plans. `manifest` gives the totals
+// either way, so clients know whether to fetch shards.
+async function writeCountyFile(yearDir, year, fips, bucket) {
+  const carriers = Array.from(bucket.carriers.values()).sort(
+    (a, b) => b.plans.length - a.plans.length || a.parentCarrier.localeCompare(b.parentCarrier)
+  );
+  const planCount = carriers.reduce((n, c) => n + c.plans.length, 0);
+  const sharded = planCount > COUNTY_SHARD_THRESHOLD;
+  const base = {
+    year,
+    county_fips: fips,
+    state: bucket.state,
+    county_name: bucket.county_name
+  };
+
+  const slugs = new Set();
+  const out = [];
+  for (const c of carriers) {
+    const entry = {
+      parentCarrier: c.parentCarrier,
+      orgName: c.orgNames.values().next().value, // first raw name seen; all of them in orgNames
+      orgNames: Array.from(c.orgNames).sort(),
+      contractIds: Array.from(c.contractIds),
+      planCount: c.plans.length
+    };
+    if (!sharded) {
+      entry.plans = c.plans;
+      out.push(entry);
       continue;
     }
-    if (rows.length === 0) continue;
-    const headers = Object.keys(rows[0]).map((h) => h.trim().toLowerCase());
+    let slug = slugify(c.parentCarrier) || "carrier";
+    for (let i = 2; slugs.has(slug); i++) slug = `${slugify(c.parentCarrier)}-${i}`;
+    slugs.add(slug);
+    const premiums = c.plans.map((p) => p.premium).filter((v) => v != null);
+    entry.premiumRange = premiums.length ? [Math.min(...premiums), Math.max(...premiums)] : null;
+    entry.shard = `by-county/${fips}/${slug}.json`;
+    await fs.mkdir(path.join(yearDir, "by-county", fips), { recursive: true });
+    await writeJson(path.join(yearDir, entry.shard), {
+      ...base,
+      parentCarrier: c.parentCarrier,
+      plans: c.plans
+    }, "by-county-shard");
+    out.push(entry);
+  }
+
+  await writeJson(path.join(yearDir, "by-county", `${fips}.json`), {
+    ...base,
+    manifest: {
+      carrierCount: carriers.length,
+      planCount,
+      sharded,
+      shards: sharded ? out.map((c) => ({ parentCarrier: c.parentCarrier, file: c.shard, planCount: c.planCount })) : []
+    },
+    carriers: out
+  }, "by-county");
+}
+
+function slugify(s) {
+  return String(s || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+}
+
+// Attach previousPlanCode/nextPlanCode and crosswalk status to every plan of `year`.
+// crosswalkStatus describes how the plan came into this year (new, renewal,
+// consolidated); nextCrosswalkStatus what happens to it next year (incl. terminated).
+function annotateCrosswalk(carriersByCounty, year) {
+  const into = crosswalks.transition(year);
+  const out = crosswalks.transition(year + 1, { exact: true }); // only a crosswalk that names next year
+  for (const bucket of carriersByCounty.values()) {
+    for (const carrier of bucket.carriers.values()) {
+      for (const p of carrier.plans) {
+        const key = segmentKey(p);
+        const prev = into?.prevOf.get(key);
+        const next = out?.nextOf.get(key);
+        p.previousPlanCode = prev?.key ? keyToPlanCode(prev.key) : null;
+        p.previousPlanKey = prev?.key ?? null;
+        p.crosswalkStatus = prev?.status ?? null;
+        p.nextPlanCode = next?.key ? keyToPlanCode(next.key) : null;
+        p.nextPlanKey = next?.key ?? null;
+        p.nextCrosswalkStatus = next?.status ?? null;
+      }
+    }
+  }
+}
+
+// Plan enrollment in the county: a count, "*" when CMS suppressed it (kept in
+// enrollmentRaw, with enrollment null), or null when the plan is not in the file
+function annotateEnrollment(carriersByCounty, enrollment) {
+  for (const [fips, bucket] of carriersByCounty) {
+    for (const carrier of bucket.carriers.values()) {
+      for (const p of carrier.plans) {
+        const count = enrollment.plans.get(planCode(p.contractId, p.planId))?.get(fips);
+        p.enrollment = typeof count === "number" ? count : null;
+        if (count !== undefined && typeof count !== "number") p.enrollmentRaw = count;
+      }
+    }
+  }
+}
+
+function crosswalkFields(p) {
+  const out = {};
+  for (const field of CROSSWALK_FIELDS) if (p[field] !== undefined) out[field] = p[field];
+  return out;
+}
+
+// "H1234-001-000" -> "H1234-001" (the plans/ file key)
+function keyToPlanCode(key) {
+  return key.split("-").slice(0, 2).join("-");
+}
+
+// Group county buckets by plan and write plans/, by-plan/ and plan-details/.
+// `benefits` (PBP, by contract-plan-segment) adds supplemental benefits to plan-details,
+// and `stars` (by contract) the contract's Star Ratings (null for unrated contracts).
+async function writePlanFiles(yearDir, year, carriersByCounty, benefits, stars) {
+  const byCode = new Map();
+  for (const bucket of carriersByCounty.values()) {
+    for (const carrier of bucket.carriers.values()) {
+      for (const p of carrier.plans) {
+        const code = planCode(p.contractId, p.planId);
+        let plan = byCode.get(code);
+        if (!plan) {
+          plan = { code, organization: p.orgName, parentCarrier: p.parentCarrier, areas: [] };
+          byCode.set(code, plan);
+        }
+        plan.areas.push({ ...p, state: bucket.state, county: bucket.county_name, county_fips: bucket.county_fips });
+      }
+    }
+  }
+
+  for (const dir of ["plans", "by-plan", "plan-details"]) {
+    await fs.mkdir(path.join(yearDir, dir), { recursive: true });
+  }
+
+  for (const plan of byCode.values()) {
+    const { code, organization, parentCarrier } = plan;
+    const areas = plan.areas.sort(
+      (a, b) => a.state.localeCompare(b.state) || a.county.localeCompare(b.county)
+    );
+    const segments = Array.from(new Set(areas.map((a) => a.segmentId))).sort();
+
+    // plans/<CODE>.json: one row per segment, anchored on its first county
+    const planRows = segments.map((seg) => {
+      const segAreas = areas.filter((a) => a.segmentId === seg);
+      const a = segAreas[0];
+      return {
+        organization,
+        parentCarrier,
+        marketingName: a.marketingName,
+        contractId: a.contractId,
+        planId: a.planId,
+        segmentId: seg,
+        state: a.state,
+        county: a.county,
+        countyCount: segAreas.length,
+        type: a.planType,
+        snpType: a.snpType,
+        snp: a.snp,
+        employerGroup: a.employerGroup,
+        ...crosswalkFields(a),
+        ...amountFields(a)
+      };
+    });
+
+    // by-plan/<CODE>.json: the service area, one row per county
+    const serviceArea = areas.map((a) => ({
+      contractId: a.contractId,
+      planId: a.planId,
+      segmentId: a.segmentId,
+      state: a.state,
+      county: a.county,
+      county_fips: a.county_fips,
+      premium: a.premium,
+      ...(a.premiumRaw ? { premiumRaw: a.premiumRaw } : {})
+    }));
+
+    // plan-details/<CODE>.json: plan-level attributes; plan-details/<CODE>-<SEGMENT>.json:
+    // the same for one segment, with its own name, amounts and service area
+    const detailsOf = (segAreas, seg) => {
+      const a = segAreas[0];
+      return {
+        year,
+        contractId: a.contractId,
+        planId: a.planId,
+        ...(seg ? { segmentId: seg } : {}),
+        marketingName: a.marketingName,
+        organization,
+        parentCarrier,
+        planType: a.planType,
+        snpType: a.snpType,
+        snp: a.snp,
+        employerGroup: a.employerGroup,
+        ...crosswalkFields(a),
+        ...amountFields(a),
+        includesPartD: a.partDPremium != null || a.drugDeductible != null,
+        segments,
+        states: Array.from(new Set(segAreas.map((x) => x.state).filter(Boolean))).sort(),
+        countyCount: segAreas.length,
+        ...(benefits ? { benefits: planBenefits(benefits, `${code}-${seg || segments[0]}`, a) } : {}),
+        ...(stars ? { stars: stars.get(a.contractId) ?? null } : {})
+      };
+    };
+
+    await writeJson(path.join(yearDir, "plans", `${code}.json`), planRows, "plans");
+    await writeJson(path.join(yearDir, "by-plan", `${code}.json`), serviceArea, "by-plan");
+    await writeJson(path.join(yearDir, "plan-details", `${code}.json`), detailsOf(areas), "plan-details");
+    for (const seg of segments) {
+      const segAreas = areas.filter((a) => a.segmentId === seg);
+      await writeJson(path.join(yearDir, "plan-details", `${code}-${seg}.json`), detailsOf(segAreas, seg), "plan-details");
+    }
+  }
+  return byCode.size;
+}
+
+// Supplemental benefits of one segment, grouped by category. The Landscape giveback
+// fills in when the PBP has none.
+function planBenefits(benefits, key, p) {
+  const out = structuredClone(benefits.get(key) || {});
+  if (out.partB?.giveback == null && p.partBGiveback != null) out.partB = { ...out.partB, giveback: p.partBGiveback };
+  return out;
+}
+
+// Join the ZCTA->county index with the county buckets and write zips/<zip>.json
+async function writeZipFiles(yearDir, zipIndex, carriersByCounty) {
+  await fs.mkdir(path.join(yearDir, "zips"), { recursive: true });
+
+  // Rows are identical for every ZIP in a county, so build them once per county
+  const rowsByCounty = new Map();
+  for (const [fips, bucket] of carriersByCounty.entries()) {
+    const rows = [];
+    for (const carrier of bucket.carriers.values()) {
+      for (const p of carrier.plans) {
+        rows.push({
+          state: bucket.state,
+          county: bucket.county_name,
+          county_fips: fips,
+          contractId: p.contractId,
+          planId: p.planId,
+          segmentId: p.segmentId,
+          planCode: planCode(p.contractId, p.planId),
+          organization: p.orgName,
+          parentCarrier: p.parentCarrier,
+          planName: p.marketingName,
+          type: p.planType,
+          snpType: p.snpType,
+          snp: p.snp,
+          employerGroup: p.employerGroup,
+          premium: p.premium,
+          moop: p.moop,
+          starRating: p.starRating,
+          ...(p.starRatingRaw ? { starRatingRaw: p.starRatingRaw } : {})
+        });
+      }
+    }
+    rowsByCounty.set(fips, rows);
+  }
+
+  let written = 0;
+  for (const { zip, counties } of zipIndex) {
+    const list = [];
+    for (const [fips, weight] of counties) {
+      for (const row of rowsByCounty.get(fips) || []) {
+        list.push({ zip, ...row, countyWeight: weight });
+      }
+    }
+    if (!list.length) continue; // no plans in any of this ZCTA's counties
+    await writeJson(path.join(yearDir, "zips", `${zip}.json`), list, "zips");
+    written++;
+  }
+  return written;
+}
+
+// Write changes/by-county/<fips>.json and changes/by-plan/<CODE>.json for `year`
+// against `previousYear`. Terminated plans get a by-plan file in the new year too.
+async function writeChangeFiles(yearDir, year, previousYear, diff) {
+  const dir = path.join(yearDir, "changes");
+  await fs.mkdir(path.join(dir, "by-county"), { recursive: true });
+  await fs.mkdir(path.join(dir, "by-plan"), { recursive: true });
+
+  for (const [fips, county] of diff.byCounty.entries()) {
+    await writeJson(path.join(dir, "by-county", `${fips}.json`), { year, previousYear, ...county });
+  }
+
+  const byCode = new Map();
+  for (const seg of diff.bySegment) {
+    const code = seg.plan.planCode;
+    if (!byCode.has(code)) byCode.set(code, []);
+    byCode.get(code).push(seg);
+  }
+  for (const [code, segments] of byCode.entries()) {
+    segments.sort((a, b) => a.plan.segmentId.localeCompare(b.plan.segmentId));
+    await writeJson(path.join(dir, "by-plan", `${code}.json`), { year, previousYear, planCode: code, segments });
+  }
+  return { counties: diff.byCounty.size, plans: byCode.size };
+}
+
+// Enrollment share by carrier, from the plan counts annotateEnrollment attached:
+// market-share/by-county/<fips>.json, market-share/by-state/<state>.json (with a line
+// per county) and market-share/index.json. A plan's segments share one count, so
+// each plan is counted once per county.
+async function writeMarketShareFiles(yearDir, year, carriersByCounty, period) {
+  const dir = path.join(yearDir, "market-share");
+  await fs.mkdir(path.join(dir, "by-county"), { recursive: true });
+  await fs.mkdir(path.join(dir, "by-state"), { recursive: true });
+
+  const states = new Map(); // state -> {units, counties}
+  for (const [fips, bucket] of carriersByCounty) {
+    const units = new Map(); // contract-plan -> unit
+    for (const carrier of bucket.carriers.values()) {
+      for (const p of carrier.plans) {
+        const code = planCode(p.contractId, p.planId);
+        if (!units.has(code)) {
+          units.set(code, { orgName: p.orgName, parentCarrier: p.parentCarrier, enrollment: p.enrollment ?? p.enrollmentRaw ?? null });
+        }
+      }
+    }
+    const share = marketShare(Array.from(units.values()));
+    await writeJson(path.join(dir, "by-county", `${fips}.json`), {
+      year,
+      period,
+      county_fips: fips,
+      state: bucket.state,
+      county_name: bucket.county_name,
+      ...share
+    });
+
+    let st = states.get(bucket.state);
+    if (!st) {
+      st = { units: [], counties: [] };
+      states.set(bucket.state, st);
+    }
+    st.units.push(...units.values());
+    st.counties.push({
+      county_fips: fips,
+      county_name: bucket.county_name,
+      totalEnrollment: share.totalEnrollment,
+      suppressedPlans: share.suppressedPlans,
+      hhi: share.hhi,
+      leader: share.parentCarriers[0] && share.totalEnrollment
+        ? { parentCarrier: share.parentCarriers[0].name, share: share.parentCarriers[0].share }
+        : null
+    });
+  }
+
+  const index = [];
+  for (const [state, st] of states) {
+    const share = marketShare(st.units);
+    st.counties.sort((a, b) => a.county_fips.localeCompare(b.county_fips));
+    const file = `by-state/${slugify(state) || "unknown"}.json`;
+    await writeJson(path.join(dir, file), { year, period, state, ...share, counties: st.counties });
+    index.push({ state, file, countyCount: st.counties.length, totalEnrollment: share.totalEnrollment, hhi: share.hhi });
+  }
+  index.sort((a, b) => a.state.localeCompare(b.state));
+  await writeJson(path.join(dir, "index.json"), { year, period, states: index });
+  return states.size;
+}
+
+// formulary/plans.json (contract-plan-segment -> formulary + pharmacy counts),
+// formulary/by-formulary/<id>.json (RxCUI -> [tier, PA, ST, QL amount, QL days]) and
+// formulary/drugs/<letter>.json (names for the drug picker), plus formulary/index.json
+async function writeFormularyFiles(yearDir, year, formulary) {
+  const dir = path.join(yearDir, "formulary");
+  await fs.mkdir(path.join(dir, "by-formulary"), { recursive: true });
+
+  const plans = Object.fromEntries(Array.from(formulary.plans.entries()).sort(([a], [b]) => a.localeCompare(b)));
+  await writeJson(path.join(dir, "plans.json"), plans);
+
+  // Formulary files are fetched per search, so they are written without indentation
+  for (const [id, f] of formulary.formularies.entries()) {
+    const drugs = Object.fromEntries(f.drugs.entries());
+    await fs.writeFile(path.join(dir, "by-formulary", `${id}.json`), JSON.stringify({ formularyId: id, version: f.version, year, drugs }));
+  }
+
+  // Drug names, sharded by first letter; brands ("Lipitor (atorvastatin)") go in the
+  // generic's shard too, so either name finds them
+  const shards = new Map();
+  for (const [rxcui, d] of formulary.drugs.entries()) {
+    const generic = d.name.match(/\(([^)]+)\)$/)?.[1];
+    const letters = new Set([d.name, generic].filter(Boolean).map((n) => (/^[a-z]/i.test(n) ? n[0].toLowerCase() : "0")));
+    for (const letter of letters) {
+      if (!shards.has(letter)) shards.set(letter, []);
+      shards.get(letter).push({ rxcui, name: d.name, strength: d.strength });
+    }
+  }
+  if (shards.size) await fs.mkdir(path.join(dir, "drugs"), { recursive: true });
+  for (const [letter, list] of shards.entries()) {
+    list.sort((a, b) => a.name.localeCompare(b.name) || a.strength.localeCompare(b.strength));
+    await fs.writeFile(path.join(dir, "drugs", `${letter}.json`), JSON.stringify(list));
+  }
+
+  await writeJson(path.join(dir, "index.json"), {
+    year,
+    formularyCount: formulary.formularies.size,
+    planCount: formulary.plans.size,
+    drugCount: formulary.drugs.size,
+    drugShards: Array.from(shards.keys()).sort()
+  });
+  return formulary.formularies.size;
+}
+
+// Grid index for the "within N miles of ZIP" search (see lib/geo.mjs). Written compact:
+// clients fetch a handful of cells per search.
+async function writeGeoFiles(yearDir, centroids, zipIndex) {
+  const dir = path.join(yearDir, "geo");
+  const { cellDegrees, cells, zip3 } = buildSpatialIndex(centroids, zipIndex, GEO_CELL_DEGREES);
+  await fs.mkdir(path.join(dir, "cells"), { recursive: true });
+  await fs.mkdir(path.join(dir, "zip3"), { recursive: true });
+  for (const [key, rows] of cells) await fs.writeFile(path.join(dir, "cells", `${key}.json`), JSON.stringify(rows));
+  for (const [prefix, zips] of zip3) await fs.writeFile(path.join(dir, "zip3", `${prefix}.json`), JSON.stringify(zips));
+  await writeJson(path.join(dir, "index.json"), { cellDegrees, cells: Array.from(cells.keys()).sort() });
+  return cells.size;
+}
+
+// Type-ahead search index (see lib/search-index.mjs). Written compact: clients fetch
+// one terms file per word typed and the doc chunks of the hits.
+async function writeSearchFiles(yearDir, carriersByCounty) {
+  const dir = path.join(yearDir, "search");
+  const { docCount, chunkSize, chunks, terms } = buildSearchIndex(carriersByCounty, { aliasesOf: carrierAliases.variants });
+  await fs.mkdir(path.join(dir, "docs"), { recursive: true });
+  await fs.mkdir(path.join(dir, "terms"), { recursive: true });
+  for (const [i, docs] of chunks.entries()) await fs.writeFile(path.join(dir, "docs", `${i}.json`), JSON.stringify(docs));
+  for (const [shard, list] of terms) await fs.writeFile(path.join(dir, "terms", `${shard}.json`), JSON.stringify(list));
+  await writeJson(path.join(dir, "index.json"), { docCount, chunkSize, terms: Array.from(terms.keys()).sort() });
+  return docCount;
+}
+
+// Group S-contract rows by PDP region and write pdp/by-region/<region>.json
+// plus pdp/state-regions.json (state abbreviation -> region)
+async function writePdpFiles(yearDir, year, pdpTables) {
+  const regions = new Map(); // region -> {region, regionName, states:Set, plans:Map}
+  const stateRegions = {};
+  let byState = false;
+  for (const pdpRows of pdpTables) {
+    if (pdpRows.length && collectPdpRegions(pdpRows, year, regions, stateRegions) === "by-state") byState = true;
+  }
+  if (!regions.size) return 0;
+  if (byState) console.warn(`[WARN] Year ${year}: PDP table has no region column; grouping PDPs by state.`);
+
+  await fs.mkdir(path.join(yearDir, "pdp", "by-region"), { recursive: true });
+  for (const bucket of regions.values()) {
+    const plans = Array.from(bucket.plans.values()).sort(
+      (a, b) => a.organization.localeCompare(b.organization) || a.planCode.localeCompare(b.planCode)
+    );
+    await writeJson(path.join(yearDir, "pdp", "by-region", `${bucket.region}.json`), {
+      year,
+      region: bucket.region,
+      regionName: bucket.regionName,
+      states: Array.from(bucket.states).sort(),
+      plans
+    });
+  }
+  const sortedStates = Object.fromEntries(Object.entries(stateRegions).sort(([a], [b]) => a.localeCompare(b)));
+  await writeJson(path.join(yearDir, "pdp", "state-regions.json"), sortedStates);
+  return regions.size;
+}
+
+// Add the S-contract rows of one PDP table for `year` to the region buckets.
+// Returns "by-state" when it grouped some by state, for want of a region column.
+function collectPdpRegions(pdpRows, year, regions, stateRegions) {
+  const row0 = pdpRows[0];
+  const yearKey = keyFromHeader(row0, ["Contract Year", "Year"]);
+  const contractKey = keyFromHeader(row0, ["Contract ID", "Contract Number"]);
+  const planKey = keyFromHeader(row0, ["Plan ID"]);
+  const segmentKey = keyFromHeader(row0, ["Segment ID"]);
+  const stateKey = keyFromHeader(row0, ["State Abbreviation", "State Code", "State"]);
+  const regionKey = keyFromHeader(row0, ["PDP Region Code", "PDP Region Number", "Region Code", "PDP Region", "Region"]);
+  const regionNameKey = keyFromHeader(row0, ["PDP Region", "PDP Region Name", "Region Name"]);
+  const orgNameKey = keyFromHeader(row0, ["Organization Marketing Name", "Organization Name", "Company Name", "Parent Organization Name"]);
+  const planNameKey = keyFromHeader(row0, ["Plan Name", "Drug Plan Name"]);
+  const benefitTypeKey = keyFromHeader(row0, ["Benefit Type", "Drug Benefit Type"]);
+  const amountKeys = {
+    premium: keyFromHeader(row0, ["Monthly Drug Premium", "Part D Total Premium", "Monthly Consolidated Premium (Includes Part C + D)", "Part D Premium"]),
+    drugDeductible: keyFromHeader(row0, ["Annual Drug Deductible", "Drug Deductible", "Part D Drug Deductible"]),
+    starRating: keyFromHeader(row0, ["Overall Star Rating", "Summary Star Rating", "Star Rating"])
+  };
+  if (!contractKey || !planKey || (!regionKey && !stateKey)) {
+    console.warn("[WARN] PDP table lacks contract/plan/region columns; skipping it.");
+    return;
+  }
+  let added = 0;
+  for (const r of pdpRows) {
+    if (yearKey) {
+      const cyNum = Number((String(r[yearKey] ?? "").match(/\d{4}/) || [])[0]);
+      if (cyNum && cyNum !== year) continue;
+    }
+    const contractId = String(pick(r, [contractKey]) || "").trim().toUpperCase();
+    if (!contractId.startsWith("S")) continue;
+    const planId = padId(pick(r, [planKey]));
+    if (!planId) continue;
+    const state = String(pick(r, [stateKey]) || "").trim().toUpperCase();
+    const region = pdpRegionId(pick(r, [regionKey])) || state;
+    if (!region) continue;
+    added++;
+
+    let bucket = regions.get(region);
+    if (!bucket) {
+      const regionName = regionNameKey && regionNameKey !== regionKey ? String(r[regionNameKey] || "").trim() : "";
+      bucket = { region, regionName: regionName || null, states: new Set(), plans: new Map() };
+      regions.set(region, bucket);
+    }
+    if (state) {
+      bucket.states.add(state);
+      stateRegions[state] = region;
+    }
+
+    const segmentId = padId(pick(r, [segmentKey])) || "000";
+    const code = `${planCode(contractId, planId)}-${segmentId}`;
+    const organization = (String(pick(r, [orgNameKey]) || "").trim()) || contractId;
+    if (bucket.plans.has(code)) continue; // one row per state in the region
+    bucket.plans.set(code, {
+      contractId,
+      planId,
+      segmentId,
+      planCode: planCode(contractId, planId),
+      organization,
+      parentCarrier: carrierAliases.resolve(organization) || organization,
+      planName: String(pick(r, [planNameKey]) || "").trim(),
+      type: "PDP",
+      benefitType: (String(pick(r, [benefitTypeKey]) || "").trim()) || null,
+      ...readAmounts(r, amountKeys)
+    });
+  }
+  return !regionKey && added ? "by-state" : null;
+}
+
+// "25", 25, "Region 25 - Iowa, Minnesota, ..." -> "25"
+function pdpRegionId(v) {
+  const m = String(v ?? "").match(/\d+/);
+  return m ? m[0].padStart(2, "0") : "";
+}
+
+// With a schema `kind`, the data is stamped with schemaVersion (objects only), recorded for
+// schemas.json and validated; violations are collected in schemaViolations and fail the
+// build at the end of the year
+async function writeJson(file, data, kind) {
+  if (kind) {
+    data = stampSchemaVersion(data);
+    if (kind !== "schemas") schemaFiles.set(schemaPathPattern(file), kind);
+    const errors = schemas.validate(kind, data);
+    if (errors.length) schemaViolations.push({ file, errors });
+  }
+  await fs.writeFile(file, JSON.stringify(data, null, 2));
+}
+
+// dist/years/2025/by-county/25025/aetna.json -> "by-county/*/*.json"
+function schemaPathPattern(file) {
+  const [, ...parts] = path.relative(path.join(OUT_DIR, "years"), file).split(path.sep);
+  return parts.map((p, i) => (i === 0 ? p : i === parts.length - 1 ? "*.json" : "*")).join("/");
+}
+
+async function loadLandscapeRows(zipPath) {
+  // A table that has at least YEAR + (CONTRACT & PLAN) + COUNTY info
+  const found = findTable(zipPath, (headers) => {
     const hasYear = headers.includes("contract year") || headers.includes("year");
     const hasCounty =
       headers.includes("county name") ||
@@ -251,43 +1125,35 @@ async function loadLandscapeRows(zipPath) {
     const hasContract =
       headers.includes("contract id") || headers.includes("contract number");
     const hasPlan = headers.includes("plan id");
-    if (hasYear && hasCounty && hasContract && hasPlan) {
-      return { rows, sourceName: e.entryName };
-    }
-  }
-
-  // 2) fall back to XLSX if no good CSV
-  const xlsxEntry = entries.find((e) => e.entryName.toLowerCase().endsWith(".xlsx"));
-  if (xlsxEntry) {
-    const wb = XLSX.read(xlsxEntry.getData(), { type: "buffer" });
-    for (const sheetName of wb.SheetNames) {
-      const sheet = wb.Sheets[sheetName];
-      const json = XLSX.utils.sheet_to_json(sheet, { defval: "" });
-      if (!json.length) continue;
-      const headers = Object.keys(json[0]).map((h) => String(h).trim().toLowerCase());
-      const hasYear = headers.includes("contract year") || headers.includes("year");
-      const hasCounty =
-        headers.includes("county name") ||
-        headers.includes("county fips") ||
-        headers.includes("county code") ||
-        headers.includes("county code (fips)");
-      const hasContract =
-        headers.includes("contract id") || headers.includes("contract number");
-      const hasPlan = headers.includes("plan id");
-      if (hasYear && hasCounty && hasContract && hasPlan) {
-        return { rows: json, sourceName: `${xlsxEntry.entryName}#${sheetName}` };
-      }
-    }
-  }
+    return hasYear && hasCounty && hasContract && hasPlan;
+  });
+  if (!found) throw new Error("Could not find a Landscape table with required columns in the CMS ZIP.");
+  return found;
+}
 
-  throw new Error("Could not find a Landscape table with required columns in the CMS ZIP.");
+// The PDP Landscape has no county columns; it is priced by PDP region (or state)
+// and its contracts are S-prefixed.
+function loadPdpRows(zipPath) {
+  return findTable(zipPath, (headers, rows) => {
+    const hasContract =
+      headers.includes("contract id") || headers.includes("contract number");
+    const hasPlan = headers.includes("plan id");
+    const hasArea = headers.some((h) => h.includes("region")) || headers.includes("state");
+    if (!hasContract || !hasPlan || !hasArea) return false;
+    const contractKey = keyFromHeader(rows[0], ["Contract ID", "Contract Number"]);
+    return rows.some((r) => /^S/i.test(String(r[contractKey] ?? "").trim()));
+  });
 }
 
 async function buildCountyFipsMap() {
   const map = new Map();
-  for (const st of STATES) {
-    const url = `${GAZ_BASE}/2020_gaz_counties_${st}.txt`;
-    const txt = await fetchText(url);
+  // A local national Gazetteer file covers every state in one go
+  const national = findLocalInput(null, (f) => /^2020_gaz_counties_national\.txt$/i.test(f));
+  const sources = national
+    ? [national]
+    : STATES.map((st) => `2020_gaz_counties_${st}.txt`);
+  for (const name of sources) {
+    const txt = national ? await fs.readFile(national, "utf8") : await readInputText(name, `${GAZ_BASE}/${name}`);
     // TSV: USPS | GEOID | ANSICODE | NAME | ... LSAD | ...
     const lines = txt.split(/\r?\n/);
     for (const line of lines) {
@@ -303,51 +1169,101 @@ async function buildCountyFipsMap() {
   return map;
 }
 
+// Gazetteer ZCTA centroids: local 2020_Gaz_zcta_national.txt (or .zip), else the
+// download cache / Census. null (with a warning) when neither is available.
+async function loadCentroids() {
+  const local = findLocalInput(null, (f) => /^2020_gaz_zcta_national\.(txt|zip)$/i.test(f));
+  try {
+    const file = local || (await cache.getPath(`${GAZ_BASE}/2020_Gaz_zcta_national.zip`));
+    const centroids = loadZctaCentroids(file);
+    console.log(`[INFO] ZCTA centroids: ${centroids.size}`);
+    return centroids.size ? centroids : null;
+  } catch (e) {
+    console.warn(`[WARN] No ZCTA Gazetteer centroids (${e.message}); skipping the nearby-ZIP index.`);
+    return null;
+  }
+}
+
+// ZCTA -> [[county_fips, weight], ...], heaviest first. A county's weight is its share
+// of the ZCTA's population (POPPT, in the 2010-style relationship files) or else of its
+// land area (AREALAND_PART in the 2020 file); parts with neither are dropped. When
+// the file has neither column, or the ZCTA has no land, every county counts the same.
 async function buildZipIndex() {
-  const txt = await fetchText(ZCTA_COUNTY_URL);
+  const txt = ZCTA_COUNTY_FILE
+    ? await fs.readFile(ZCTA_COUNTY_FILE, "utf8")
+    : await readInputText("tab20_zcta520_county20_natl.txt", ZCTA_COUNTY_URL);
   const lines = txt.split(/\r?\n/);
-  const header = lines[0].split("|");
-  const idxZcta = header.indexOf("GEOID_ZCTA5_20");
-  const idxCounty = header.indexOf("GEOID_COUNTY_20");
+  const delimiter = lines[0].includes("|") ? "|" : ",";
+  const header = lines[0].split(delimiter).map((h) => h.trim().replace(/^"|"$/g, ""));
+  const column = (...names) => names.map((n) => header.indexOf(n)).find((i) => i >= 0) ?? -1;
+  const idxZcta = column("GEOID_ZCTA5_20", "ZCTA5");
+  const idxCounty = column("GEOID_COUNTY_20", "GEOID");
+  const idxPopulation = column("POPPT");
+  const idxLand = column("AREALAND_PART", "AREALANDPT");
   if (idxZcta < 0 || idxCounty < 0) return [];
-  const freq = new Map();
+  const parts = new Map(); // zcta -> Map(fips -> {rows, population, land})
   for (let i = 1; i < lines.length; i++) {
     const line = lines[i];
     if (!line) continue;
-    const cols = line.split("|");
+    const cols = line.split(delimiter).map((c) => c.trim().replace(/^"|"$/g, ""));
     const z = cols[idxZcta];
     const fips = cols[idxCounty];
     if (!z || !fips) continue;
-    let m = freq.get(z);
+    let m = parts.get(z);
     if (!m) {
       m = new Map();
-      freq.set(z, m);
+      parts.set(z, m);
     }
-    m.set(fips, (m.get(fips) || 0) + 1);
+    const part = m.get(fips) || { rows: 0, population: 0, land: 0 };
+    part.rows++;
+    part.population += Number(cols[idxPopulation]) || 0;
+    part.land += Number(cols[idxLand]) || 0;
+    m.set(fips, part);
   }
   const out = [];
-  for (const [zip, m] of freq.entries()) {
-    const total = Array.from(m.values()).reduce((a, b) => a + b, 0) || 1;
-    const counties = Array.from(m.entries()).map(([fips, count]) => [
-      fips,
-      Math.round((count / total) * 1000) / 1000
-    ]);
-    counties.sort((a, b) => b[1] - a[1]);
-    out.push({ zip, counties });
+  for (const [zip, m] of parts.entries()) {
+    const sum = (field) => Array.from(m.values()).reduce((a, p) => a + p[field], 0);
+    const weightBasis = sum("population") > 0 ? "population" : sum("land") > 0 ? "land-area" : "rows";
+    const field = { population: "population", "land-area": "land", rows: "rows" }[weightBasis];
+    const total = sum(field);
+    const counties = Array.from(m.entries())
+      .filter(([, part]) => part[field] > 0)
+      .map(([fips, part]) => [fips, Math.max(0.001, Math.round((part[field] / total) * 1000) / 1000)]);
+    counties.sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
+    out.push({ zip, counties, weightBasis });
   }
   out.sort((a, b) => a.zip.localeCompare(b.zip));
   return out;
 }
 
-async function downloadFile(url, dest) {
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`Failed to download ${url}: ${res.status}`);
-  const buf = Buffer.from(await res.arrayBuffer());
-  await fs.writeFile(dest, buf);
-  return dest;
+// Path of a file in LOCAL_INPUT_DIR: `explicit` (relative to the dir, or absolute)
+// if given, else the first file name matching `test`
+function findLocalInput(explicit, test) {
+  return findLocalInputs(explicit, test)[0] || null;
+}
+
+// Like findLocalInput, but every match (`explicit` may be a comma-separated list)
+function findLocalInputs(explicit, test) {
+  if (explicit) return splitList(explicit).map((f) => path.resolve(INPUT_DIR || ".", f));
+  if (!INPUT_DIR) return [];
+  return readdirSync(INPUT_DIR)
+    .sort()
+    .filter((f) => test(f))
+    .map((f) => path.join(INPUT_DIR, f));
 }
-async function fetchText(url) {
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`Failed GET ${url}: ${res.status}`);
-  return await res.text();
+
+function splitList(v) {
+  return String(v || "")
+    .split(/[\s,]+/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+}
+
+// Read `fileName` from LOCAL_INPUT_DIR if it is there, else via the download cache
+async function readInputText(fileName, url) {
+  if (INPUT_DIR) {
+    const local = path.join(INPUT_DIR, fileName);
+    if (existsSync(local)) return await fs.readFile(local, "utf8");
+  }
+  return await cache.getText(url);
 }
@@ -0,0 +1,62 @@
+// scripts/lib/carrier-aliases.mjs
+// Resolve raw Landscape organization names to a canonical parent carrier using
+// data/aliases.json ({ "<Canonical>": ["<variant>", ...] }).
+//
+// Matching is case-insensitive and substring-aware on whole words: "AARP Medicare
+// Advantage" matches the "AARP Medicare" variant. When several aliases match, the
+// longest one wins. The Blue Cross / Blue Shield plans are independent companies, so
+// they are listed one by one, never by a bare "Blue Cross" alias.
+import fs from "node:fs/promises";
+
+export async function loadCarrierAliases(file) {
+  let aliases = {};
+  try {
+    aliases = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch {
+    console.warn(`[WARN] No carrier aliases loaded from ${file}; carriers keep their raw names.`);
+  }
+  return createCarrierResolver(aliases);
+}
+
+export function createCarrierResolver(aliases) {
+  // [normalized needle, canonical], longest needle first
+  const needles = [];
+  for (const [canonical, variants] of Object.entries(aliases || {})) {
+    for (const v of [canonical, ...(Array.isArray(variants) ? variants : [])]) {
+      const n = normalizeOrg(v);
+      if (n) needles.push([n, canonical]);
+    }
+  }
+  needles.sort((a, b) => b[0].length - a[0].length);
+
+  const memo = new Map();
+
+  // Canonical parent for `orgName`, or null when no alias matches
+  function resolve(orgName) {
+    const hay = normalizeOrg(orgName);
+    if (!hay) return null;
+    if (memo.has(hay)) return memo.get(hay);
+    const padded = ` ${hay} `;
+    const hit = needles.find(([n]) => padded.includes(` ${n} `));
+    const parent = hit ? hit[1] : null;
+    memo.set(hay, parent);
+    return parent;
+  }
+
+  // The alias variants listed for a canonical parent (for search)
+  function variants(canonical) {
+    const list = aliases?.[canonical];
+    return Array.isArray(list) ? list : [];
+  }
+
+  return { resolve, variants };
+}
+
+// Lower-case, punctuation to spaces: "UnitedHealthcare, Inc." -> "unitedhealthcare inc"
+function normalizeOrg(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
@@ -0,0 +1,97 @@
+// scripts/lib/crosswalk.mjs
+// CMS plan crosswalk: maps each prior-year contract-PBP-segment to the current-year
+// one, with a status per row (renewal, consolidated, terminated, new).
+//
+// A crosswalk file describes one transition, into the year named by a year column
+// when there is one, else by the last 20xx in the file name. Keys everywhere are
+// "<contract>-<plan>-<segment>", as in year-diff.mjs.
+import path from "node:path";
+import { keyFromHeader, pick, padId, findTable } from "./tables.mjs";
+
+export function loadCrosswalks(files) {
+  // year -> { prevOf: Map(curKey -> {key, status, statusRaw}), nextOf: Map(prevKey -> ...) }
+  const transitions = new Map();
+  const anyYear = { prevOf: new Map(), nextOf: new Map() }; // files with no year at all
+
+  for (const file of files) {
+    const found = findTable(file, (headers) =>
+      headers.some((h) => /previous.*contract|prior.*contract/.test(h)) &&
+      headers.some((h) => /current.*contract/.test(h))
+    );
+    if (!found) {
+      console.warn(`[WARN] No crosswalk table found in ${path.basename(file)}; skipping.`);
+      continue;
+    }
+    const { rows, sourceName } = found;
+    const row0 = rows[0];
+    const k = {
+      prevContract: keyFromHeader(row0, ["PREVIOUS_CONTRACT_ID", "Previous Contract ID", "Prior Contract ID"]),
+      prevPlan: keyFromHeader(row0, ["PREVIOUS_PLAN_ID", "Previous Plan ID", "Prior Plan ID", "PREVIOUS_PBP_ID"]),
+      prevSegment: keyFromHeader(row0, ["PREVIOUS_SEGMENT_ID", "Previous Segment ID", "Prior Segment ID"]),
+      curContract: keyFromHeader(row0, ["CURRENT_CONTRACT_ID", "Current Contract ID"]),
+      curPlan: keyFromHeader(row0, ["CURRENT_PLAN_ID", "Current Plan ID", "CURRENT_PBP_ID"]),
+      curSegment: keyFromHeader(row0, ["CURRENT_SEGMENT_ID", "Current Segment ID"]),
+      status: keyFromHeader(row0, ["STATUS", "Crosswalk Status", "Status"]),
+      year: keyFromHeader(row0, ["CURRENT_YEAR", "Current Year", "Contract Year", "Year"])
+    };
+    const fileYear = Number((path.basename(file).match(/20\d\d/g) || []).pop()) || null;
+
+    let count = 0;
+    for (const r of rows) {
+      const rowYear = Number((String(pick(r, [k.year]) ?? "").match(/\d{4}/) || [])[0]) || fileYear;
+      let t = anyYear;
+      if (rowYear) {
+        t = transitions.get(rowYear);
+        if (!t) {
+          t = { prevOf: new Map(), nextOf: new Map() };
+          transitions.set(rowYear, t);
+        }
+      }
+      const prevKey = rowKey(r, k.prevContract, k.prevPlan, k.prevSegment);
+      const curKey = rowKey(r, k.curContract, k.curPlan, k.curSegment);
+      if (!prevKey && !curKey) continue;
+      const statusRaw = String(pick(r, [k.status]) ?? "").trim();
+      const status = normalizeStatus(statusRaw, prevKey, curKey);
+
+      if (curKey) {
+        // Consolidations map several prior plans to one; prefer the one with the same key
+        const existing = t.prevOf.get(curKey);
+        if (!existing || (existing.key !== curKey && prevKey === curKey)) {
+          t.prevOf.set(curKey, { key: prevKey, status, statusRaw });
+        }
+      }
+      if (prevKey) t.nextOf.set(prevKey, { key: curKey, status, statusRaw });
+      count++;
+    }
+    console.log(`[INFO] Crosswalk ${sourceName}: ${count} row(s)${fileYear ? ` (into ${fileYear})` : ""}`);
+  }
+
+  return {
+    // Links for the transition into `year`. Year-less files stand in for the year being
+    // built only; `exact` skips them (e.g. for the link on into next year).
+    transition(year, { exact = false } = {}) {
+      if (transitions.has(year)) return transitions.get(year);
+      return !exact && (anyYear.prevOf.size || anyYear.nextOf.size) ? anyYear : null;
+    }
+  };
+}
+
+function rowKey(r, contractKey, planKey, segmentKey) {
+  const contract = String(pick(r, [contractKey]) ?? "").trim().toUpperCase();
+  const plan = padId(pick(r, [planKey]));
+  if (!contract || !plan) return null;
+  return `${contract}-${plan}-${padId(pick(r, [segmentKey])) || "000"}`;
+}
+
+// "Renewal Plan", "Renewal Plan with SAE", "Consolidated Renewal Plan",
+// "Terminated/Non-renewed Contract", "New Plan", ... -> renewal | consolidated | terminated | new
+function normalizeStatus(raw, prevKey, curKey) {
+  const s = raw.toLowerCase();
+  if (/consolidat/.test(s)) return "consolidated";
+  if (/terminat|non-?renew/.test(s)) return "terminated";
+  if (/\bnew\b/.test(s)) return "new";
+  if (/renew/.test(s)) return "renewal";
+  if (!prevKey) return "new";
+  if (!curKey) return "terminated";
+  return s || "renewal";
+}
@@ -0,0 +1,93 @@
+// scripts/lib/download-cache.mjs
+// Content-addressed download cache for the dataset build.
+//
+// Layout under `dir`:
+//   blobs/<sha256>   raw bytes of every file ever downloaded
+//   index.json       { [url]: { sha256, size, fetchedAt } }
+//
+// A URL found in the index whose blob still hashes to the recorded sha256 is
+// served from disk without touching the network, so a warm cache makes zero
+// requests. With `offline: true` a cache miss is an error instead of a fetch.
+//
+// getPath may run concurrently (the build fetches with Promise.all): index writes are
+// queued one at a time, and blobs and the index are written to a temp file and renamed,
+// so a killed run never leaves a partial file behind.
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import fetch from "node-fetch";
+
+export async function createDownloadCache({ dir, offline = false }) {
+  const blobDir = path.join(dir, "blobs");
+  const indexPath = path.join(dir, "index.json");
+  await fs.mkdir(blobDir, { recursive: true });
+
+  let index = {};
+  try {
+    index = JSON.parse(await fs.readFile(indexPath, "utf8"));
+  } catch {
+    /* cold cache */
+  }
+
+  const stats = { hits: 0, requests: 0 };
+  let saving = Promise.resolve(); // index writes, one after another
+
+  function saveIndex() {
+    const next = saving.then(() => writeAtomic(indexPath, JSON.stringify(index, null, 2)));
+    saving = next.catch(() => {});
+    return next;
+  }
+
+  // Resolve a URL to the path of its cached blob, downloading it on a miss
+  async function getPath(url) {
+    const hit = index[url];
+    if (hit) {
+      const blobPath = path.join(blobDir, hit.sha256);
+      try {
+        const buf = await fs.readFile(blobPath);
+        if (sha256(buf) === hit.sha256) {
+          stats.hits++;
+          return blobPath;
+        }
+        console.warn(`[WARN] Cache blob for ${url} is corrupt; re-downloading.`);
+      } catch {
+        /* blob missing; fall through */
+      }
+    }
+
+    if (offline) throw new Error(`Offline build: ${url} is not in the download cache (${dir}).`);
+
+    stats.requests++;
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`Failed GET ${url}: ${res.status}`);
+    const buf = Buffer.from(await res.arrayBuffer());
+    const digest = sha256(buf);
+    const blobPath = path.join(blobDir, digest);
+    await writeAtomic(blobPath, buf);
+    index[url] = { sha256: digest, size: buf.length, fetchedAt: new Date().toISOString() };
+    await saveIndex();
+    return blobPath;
+  }
+
+  async function getText(url) {
+    return await fs.readFile(await getPath(url), "utf8");
+  }
+
+  return { getPath, getText, stats };
+}
+
+// Write to a temp file next to `file`, then rename it into place
+async function writeAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+  try {
+    await fs.writeFile(tmp, data);
+    await fs.rename(tmp, file);
+  } catch (err) {
+    await fs.rm(tmp, { force: true });
+    throw err;
+  }
+}
+
+function sha256(buf) {
+  return crypto.createHash("sha256").update(buf).digest("hex");
+}
@@ -0,0 +1,106 @@
+// scripts/lib/enrollment.mjs
+// CMS "Monthly Enrollment by Contract/Plan/State/County" (CPSC) release: the
+// CPSC_Enrollment_Info_<yyyy>_<mm>.csv table, on its own or inside the monthly ZIP.
+//
+// The file has no segment column, so every segment of a plan gets the plan's county
+// count. CMS suppresses counts from 1 to 10 and prints "*" instead; that marker is
+// kept as is, and such plans are left out of the totals below.
+import path from "node:path";
+import { keyFromHeader, pick, padId, eachRow } from "./tables.mjs";
+
+export const SUPPRESSED = "*";
+
+// Load `file`: { year, month, period ("yyyy-mm"), plans: Map("contract-plan" -> Map(fips -> count | "*")) }.
+// Only MA contracts (H/R) are kept; the year and month come from the file name.
+export async function loadEnrollment(file) {
+  const plans = new Map();
+  let k = null;
+  await eachRow(
+    file,
+    (r) => {
+      k ||= {
+        contract: keyFromHeader(r, ["Contract Number", "Contract ID"]),
+        plan: keyFromHeader(r, ["Plan ID"]),
+        fips: keyFromHeader(r, ["FIPS State County Code", "FIPS"]),
+        enrollment: keyFromHeader(r, ["Enrollment"])
+      };
+      const contract = String(pick(r, [k.contract]) ?? "").trim().toUpperCase();
+      if (!/^[HR]/.test(contract)) return;
+      const plan = padId(pick(r, [k.plan]));
+      const fips = String(pick(r, [k.fips]) ?? "").replace(/\D/g, "");
+      const count = readCount(pick(r, [k.enrollment]));
+      if (!plan || !fips || count == null) return;
+      const code = `${contract}-${plan}`;
+      let counties = plans.get(code);
+      if (!counties) {
+        counties = new Map();
+        plans.set(code, counties);
+      }
+      counties.set(fips.padStart(5, "0"), count);
+    },
+    (entryName) => /enrollment/i.test(path.basename(entryName))
+  );
+
+  const [, year, month] = path.basename(file).match(/(20\d\d)[ _-]?(0[1-9]|1[0-2])(?!\d)/) || [];
+  return {
+    year: Number(year) || null,
+    month: Number(month) || null,
+    period: year ? `${year}-${month}` : null,
+    plans
+  };
+}
+
+// "1,234" -> 1234; "*" -> "*"; anything else -> null
+function readCount(v) {
+  const s = String(v ?? "").trim();
+  if (s === SUPPRESSED) return SUPPRESSED;
+  const n = Number(s.replace(/,/g, ""));
+  return s && Number.isFinite(n) ? n : null;
+}
+
+// Shares of the known enrollment in `units` ([{orgName, parentCarrier, enrollment}], one
+// per plan and county), by parent carrier and by organization. HHI is the sum of squared
+// percentage shares (0-10,000); suppressed units count in `suppressedPlans` only.
+export function marketShare(units) {
+  let total = 0;
+  let suppressed = 0;
+  for (const u of units) {
+    if (typeof u.enrollment === "number") total += u.enrollment;
+    else if (u.enrollment === SUPPRESSED) suppressed++;
+  }
+  const parentCarriers = shares(units, "parentCarrier", total);
+  const organizations = shares(units, "orgName", total);
+  return {
+    totalEnrollment: total,
+    suppressedPlans: suppressed,
+    hhi: { parentCarrier: hhi(parentCarriers), organization: hhi(organizations) },
+    parentCarriers: parentCarriers.map(round),
+    organizations: organizations.map(round)
+  };
+}
+
+function shares(units, field, total) {
+  const groups = new Map();
+  for (const u of units) {
+    const name = u[field];
+    let g = groups.get(name);
+    if (!g) {
+      g = { name, enrollment: 0, share: 0, plans: 0, suppressedPlans: 0 };
+      groups.set(name, g);
+    }
+    g.plans++;
+    if (typeof u.enrollment === "number") g.enrollment += u.enrollment;
+    else if (u.enrollment === SUPPRESSED) g.suppressedPlans++;
+  }
+  const out = Array.from(groups.values());
+  for (const g of out) g.share = total ? g.enrollment / total : 0;
+  return out.sort((a, b) => b.enrollment - a.enrollment || a.name.localeCompare(b.name));
+}
+
+function hhi(groups) {
+  return Math.round(groups.reduce((a, g) => a + (g.share * 100) ** 2, 0));
+}
+
+function round(g) {
+  return { ...g, share: Math.round(g.share * 10000) / 10000 };
+}
@@ -0,0 +1,189 @@
+// scripts/lib/formulary.mjs
+// CMS Part D formulary files (the quarterly "Prescription Drug Plan Formulary, Pharmacy
+// Network, and Pricing Information" release, extracted into a directory):
+//
+//   plan information ...txt       contract-plan-segment -> FORMULARY_ID
+//   basic drugs formulary ...txt  FORMULARY_ID x RXCUI (one row per NDC): tier, PA, ST, QL
+//   pharmacy networks ...txt      contract-plan-segment x pharmacy (may be split in parts)
+//
+// Drug names are not in the CMS files. They come from RxNorm's RXNCONSO.RRF (clinical
+// and branded drugs), or from any CSV/TXT with "drug-names" in its name and
+// rxcui,name columns. Without either, drugs can only be looked up by RxCUI.
+//
+// The files are large, so every table is streamed (see eachRow in tables.mjs).
+import { readdirSync, createReadStream } from "node:fs";
+import path from "node:path";
+import readline from "node:readline";
+import { keyFromHeader, pick, padId, eachRow } from "./tables.mjs";
+
+const FILES = {
+  planInfo: /plan[ _-]*information.*\.txt$/i,
+  formulary: /basic[ _-]*drugs[ _-]*formulary.*\.txt$/i,
+  pharmacies: /pharmacy[ _-]*networks?.*\.txt$/i,
+  rxnconso: /^rxnconso\.rrf$/i,
+  drugNames: /drug[ _-]*names.*\.(csv|txt)$/i
+};
+
+// Load everything found in `dir`; null when it holds no formulary file.
+// Result: { year, plans: Map(key -> {formularyId, pharmacies}), formularies: Map(id ->
+// {version, drugs: Map(rxcui -> [tier, pa, st, qlAmount, qlDays])}), drugs: Map(rxcui -> {name, strength}) }
+export async function loadFormularyInputs(dir) {
+  const names = readdirSync(dir).sort();
+  const find = (re) => names.filter((f) => re.test(f)).map((f) => path.join(dir, f));
+  const [formularyFile] = find(FILES.formulary);
+  const [planInfoFile] = find(FILES.planInfo);
+  if (!formularyFile || !planInfoFile) return null;
+
+  // 1) Formularies: collapse the NDC rows to one entry per RxCUI
+  const formularies = new Map();
+  let year = null;
+  let k = null;
+  await eachRow(formularyFile, (r) => {
+    k ||= {
+      id: keyFromHeader(r, ["FORMULARY_ID"]),
+      version: keyFromHeader(r, ["FORMULARY_VERSION"]),
+      year: keyFromHeader(r, ["CONTRACT_YEAR"]),
+      rxcui: keyFromHeader(r, ["RXCUI"]),
+      tier: keyFromHeader(r, ["TIER_LEVEL_VALUE", "TIER"]),
+      ql: keyFromHeader(r, ["QUANTITY_LIMIT_YN"]),
+      qlAmount: keyFromHeader(r, ["QUANTITY_LIMIT_AMOUNT"]),
+      qlDays: keyFromHeader(r, ["QUANTITY_LIMIT_DAYS"]),
+      pa: keyFromHeader(r, ["PRIOR_AUTHORIZATION_YN"]),
+      st: keyFromHeader(r, ["STEP_THERAPY_YN"])
+    };
+    const id = formularyId(pick(r, [k.id]));
+    const rxcui = String(pick(r, [k.rxcui]) ?? "").trim();
+    if (!id || !rxcui) return;
+    year ||= Number(String(pick(r, [k.year]) ?? "").match(/\d{4}/)?.[0]) || null;
+    let f = formularies.get(id);
+    if (!f) {
+      f = { version: String(pick(r, [k.version]) ?? "").trim() || null, drugs: new Map() };
+      formularies.set(id, f);
+    }
+    const entry = [
+      Number(pick(r, [k.tier])) || null,
+      yes(pick(r, [k.pa])) ? 1 : 0,
+      yes(pick(r, [k.st])) ? 1 : 0,
+      yes(pick(r, [k.ql])) ? Number(pick(r, [k.qlAmount])) || null : null,
+      yes(pick(r, [k.ql])) ? Number(pick(r, [k.qlDays])) || null : null
+    ];
+    // Several NDCs per RxCUI: keep the most favourable (lowest tier, fewest restrictions)
+    const prev = f.drugs.get(rxcui);
+    if (!prev || rank(entry) < rank(prev)) f.drugs.set(rxcui, entry);
+  });
+  year ||= Number((path.basename(formularyFile).match(/20\d\d/g) || []).pop()) || null;
+
+  // 2) Plans -> formulary
+  const plans = new Map();
+  let pk = null;
+  await eachRow(planInfoFile, (r) => {
+    pk ||= planKeys(r, { formularyId: ["FORMULARY_ID"] });
+    const key = rowKey(r, pk);
+    const id = formularyId(pick(r, [pk.formularyId]));
+    if (key && id && !plans.has(key)) plans.set(key, { formularyId: id, pharmacies: null });
+  });
+
+  // 3) Pharmacy networks: counts per plan
+  for (const file of find(FILES.pharmacies)) {
+    let nk = null;
+    await eachRow(file, (r) => {
+      nk ||= planKeys(r, {
+        retail: ["PHARMACY_RETAIL"],
+        mail: ["PHARMACY_MAIL"],
+        preferredRetail: ["PREFERRED_STATUS_RETAIL"]
+      });
+      const plan = plans.get(rowKey(r, nk));
+      if (!plan) return;
+      plan.pharmacies ||= { retail: 0, preferredRetail: 0, mail: false };
+      if (yes(pick(r, [nk.retail]))) plan.pharmacies.retail++;
+      if (yes(pick(r, [nk.preferredRetail]))) plan.pharmacies.preferredRetail++;
+      if (yes(pick(r, [nk.mail]))) plan.pharmacies.mail = true;
+    });
+  }
+
+  // 4) Names for the RxCUIs on any formulary
+  const onFormulary = new Set();
+  for (const f of formularies.values()) for (const rxcui of f.drugs.keys()) onFormulary.add(rxcui);
+  const drugs = new Map();
+  for (const file of find(FILES.rxnconso)) await readRxnconso(file, onFormulary, drugs);
+  for (const file of find(FILES.drugNames)) {
+    let dk = null;
+    await eachRow(file, (r) => {
+      dk ||= { rxcui: keyFromHeader(r, ["rxcui", "RXCUI"]), name: keyFromHeader(r, ["name", "drug_name", "STR"]) };
+      const rxcui = String(pick(r, [dk.rxcui]) ?? "").trim();
+      const name = String(pick(r, [dk.name]) ?? "").trim();
+      if (rxcui && name && onFormulary.has(rxcui) && !drugs.has(rxcui)) drugs.set(rxcui, splitDrugName(name));
+    });
+  }
+
+  return { year, plans, formularies, drugs };
+}
+
+// RXNCONSO.RRF has no header: RXCUI|LAT|TS|LUI|STT|SUI|ISPREF|RXAUI|SAUI|SCUI|SDUI|SAB|TTY|CODE|STR|...
+// Clinical (SCD) and branded (SBD) drug names from the RXNORM source only.
+async function readRxnconso(file, wanted, drugs) {
+  const lines = readline.createInterface({ input: createReadStream(file, "utf8"), crlfDelay: Infinity });
+  for await (const line of lines) {
+    const c = line.split("|");
+    if (c[11] !== "RXNORM" || (c[12] !== "SCD" && c[12] !== "SBD")) continue;
+    if (wanted.has(c[0]) && !drugs.has(c[0])) drugs.set(c[0], splitDrugName(c[14]));
+  }
+}
+
+// "atorvastatin 20 MG Oral Tablet" -> { name: "atorvastatin", strength: "20 MG Oral Tablet" }
+// "amlodipine 5 MG / benazepril 10 MG Oral Capsule [Lotrel]"
+//   -> { name: "Lotrel (amlodipine / benazepril)", strength: "5 MG / 10 MG Oral Capsule" }
+export function splitDrugName(str) {
+  const s = String(str || "").trim();
+  const brand = s.match(/\[([^\]]+)\]\s*$/)?.[1];
+  const parts = s.replace(/\s*\[[^\]]+\]\s*$/, "").split(" / ");
+  const names = [];
+  const strengths = [];
+  let form = "";
+  parts.forEach((part, i) => {
+    const m = part.match(/^(.*?)\s+(\d[\d.,]*\s*\S+)(?:\s+(.*))?$/);
+    if (!m) {
+      names.push(part);
+      return;
+    }
+    names.push(m[1]);
+    strengths.push(m[2]);
+    if (i === parts.length - 1 && m[3]) form = m[3];
+  });
+  const generic = names.join(" / ");
+  return {
+    name: brand ? `${brand} (${generic})` : generic,
+    strength: [strengths.join(" / "), form].filter(Boolean).join(" ")
+  };
+}
+
+function planKeys(row0, extra) {
+  const out = {
+    contract: keyFromHeader(row0, ["CONTRACT_ID"]),
+    plan: keyFromHeader(row0, ["PLAN_ID"]),
+    segment: keyFromHeader(row0, ["SEGMENT_ID"])
+  };
+  for (const [field, candidates] of Object.entries(extra)) out[field] = keyFromHeader(row0, candidates);
+  return out;
+}
+
+function rowKey(r, k) {
+  const contract = String(pick(r, [k.contract]) ?? "").trim().toUpperCase();
+  const plan = padId(pick(r, [k.plan]));
+  if (!contract || !plan) return null;
+  return `${contract}-${plan}-${padId(pick(r, [k.segment])) || "000"}`;
+}
+
+// Formulary IDs are 8-digit strings; spreadsheets may have dropped the leading zeros
+function formularyId(v) {
+  const s = String(v ?? "").trim();
+  return s ? s.padStart(8, "0") : "";
+}
+
+function yes(v) {
+  return /^(y|yes|1|true)$/i.test(String(v ?? "").trim());
+}
+
+function rank([tier, pa, st, qlAmount]) {
+  return (tier || 99) * 10 + pa + st + (qlAmount != null ? 1 : 0);
+}
@@ -0,0 +1,57 @@
+// scripts/lib/geo.mjs
+// ZCTA centroids from the Census Gazetteer (2020_Gaz_zcta_national.txt, or the ZIP it
+// ships in) and the grid index behind the "within N miles of ZIP" search:
+//
+//   geo/index.json              { cellDegrees, cells: ["44_-94", ...] }
+//   geo/zip3/<prefix>.json      { zip: [lat, lon] } for finding the origin ZIP
+//   geo/cells/<lat>_<lon>.json  [[zip, lat, lon, [[county_fips, weight], ...]], ...]
+//
+// A cell is `cellDegrees` of latitude by longitude, named by its south-west corner.
+import { keyFromHeader, pick, tablesInFile } from "./tables.mjs";
+
+// Gazetteer ZCTA file -> Map(zip -> [lat, lon])
+export function loadZctaCentroids(file) {
+  const centroids = new Map();
+  for (const { rows } of tablesInFile(file, (name) => /zcta/i.test(name))) {
+    const k = {
+      zip: keyFromHeader(rows[0], ["GEOID", "ZCTA5"]),
+      lat: keyFromHeader(rows[0], ["INTPTLAT"]),
+      lon: keyFromHeader(rows[0], ["INTPTLONG", "INTPTLON"])
+    };
+    if (!k.zip || !k.lat || !k.lon) continue;
+    for (const r of rows) {
+      const zip = String(pick(r, [k.zip]) ?? "").trim();
+      const lat = Number(pick(r, [k.lat]));
+      const lon = Number(pick(r, [k.lon]));
+      if (/^\d{5}$/.test(zip) && Number.isFinite(lat) && Number.isFinite(lon)) centroids.set(zip, [round(lat), round(lon)]);
+    }
+  }
+  return centroids;
+}
+
+// Grid cells and ZIP3 lookups for every ZCTA that has both a centroid and counties
+export function buildSpatialIndex(centroids, zipIndex, cellDegrees = 1) {
+  const cells = new Map(); // "lat_lon" -> rows
+  const zip3 = new Map(); // prefix -> { zip: [lat, lon] }
+  for (const { zip, counties } of zipIndex) {
+    const at = centroids.get(zip);
+    if (!at || !counties.length) continue;
+    const key = cellKey(at[0], at[1], cellDegrees);
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push([zip, at[0], at[1], counties]);
+    const prefix = zip.slice(0, 3);
+    if (!zip3.has(prefix)) zip3.set(prefix, {});
+    zip3.get(prefix)[zip] = at;
+  }
+  for (const rows of cells.values()) rows.sort((a, b) => a[0].localeCompare(b[0]));
+  return { cellDegrees, cells, zip3 };
+}
+
+export function cellKey(lat, lon, cellDegrees) {
+  const corner = (v) => Math.floor(v / cellDegrees) * cellDegrees;
+  return `${corner(lat)}_${corner(lon)}`;
+}
+
+function round(v) {
+  return Math.round(v * 10000) / 10000;
+}
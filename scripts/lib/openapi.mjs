@@ -0,0 +1,145 @@
+// scripts/lib/openapi.mjs
+// OpenAPI 3.1 description of the /api routes in scripts/serve.mjs. Plan rows are the
+// by-county plan objects (schemas/v1/common.schema.json) plus where they were found.
+
+const year = { name: "year", in: "path", required: true, schema: { type: "integer", example: 2025 } };
+const page = [
+  { name: "page", in: "query", schema: { type: "integer", minimum: 1, default: 1 } },
+  { name: "pageSize", in: "query", schema: { type: "integer", minimum: 1, maximum: 500, default: 50 } }
+];
+const filters = [
+  { name: "type", in: "query", description: "Plan type contains this (HMO, Local PPO, ...)", schema: { type: "string" } },
+  {
+    name: "snp",
+    in: "query",
+    description: "true: SNPs only; false: no SNPs; other text: SNP type contains it (Dual, Chronic, Institutional, D-SNP)",
+    schema: { type: "string" }
+  },
+  { name: "maxPremium", in: "query", schema: { type: "number" } },
+  { name: "minStars", in: "query", description: "Unrated plans are left out", schema: { type: "number" } },
+  { name: "carrier", in: "query", description: "Parent carrier or organization contains this", schema: { type: "string" } }
+];
+
+const json = (schema) => ({ content: { "application/json": { schema } } });
+const ok = (description, schema) => ({
+  200: { description, headers: { ETag: { schema: { type: "string" } } }, ...json(schema) },
+  304: { description: "Not modified (If-None-Match matched the ETag)" },
+  400: { description: "Bad parameter", ...json({ $ref: "#/components/schemas/Error" }) },
+  404: { description: "Year, ZIP, county or plan not in the dataset", ...json({ $ref: "#/components/schemas/Error" }) }
+});
+const pageOf = (items) => ({
+  type: "object",
+  required: ["year", "total", "page", "pageSize", "items"],
+  properties: {
+    year: { type: "integer" },
+    total: { type: "integer" },
+    page: { type: "integer" },
+    pageSize: { type: "integer" },
+    items: { type: "array", items }
+  }
+});
+
+export function openApiDocument(serverUrl) {
+  return {
+    openapi: "3.1.0",
+    info: {
+      title: "MA plan dataset API",
+      version: "1.0.0",
+      description: "Query routes over the files scripts/build_ma_dataset.mjs writes under dist/years/<year>/."
+    },
+    servers: [{ url: serverUrl }],
+    paths: {
+      "/api/{year}/zips/{zip}/plans": {
+        get: {
+          operationId: "findPlansByZip",
+          summary: "Plans in every county a ZIP touches, heaviest county first",
+          parameters: [year, { name: "zip", in: "path", required: true, schema: { type: "string", pattern: "^\\d{5}$" } }, ...filters, ...page],
+          responses: ok("Plan rows, one per plan segment and county", pageOf({ $ref: "#/components/schemas/PlanRow" }))
+        }
+      },
+      "/api/{year}/plans/{code}": {
+        get: {
+          operationId: "getPlan",
+          summary: "Plan details (plan-details/<CODE>.json, or <CODE>-<SEGMENT>.json for a segment)",
+          parameters: [
+            year,
+            { name: "code", in: "path", required: true, description: "contract-plan, or contract-plan-segment", schema: { type: "string", example: "H1234-001" } }
+          ],
+          responses: ok("The plan-details file", { type: "object" })
+        }
+      },
+      "/api/{year}/counties/{fips}/carriers": {
+        get: {
+          operationId: "listCountyCarriers",
+          summary: "Carriers selling plans in a county",
+          parameters: [year, { name: "fips", in: "path", required: true, schema: { type: "string", pattern: "^\\d{5}$" } }, ...page],
+          responses: ok("Carriers, most plans first", pageOf({ $ref: "#/components/schemas/Carrier" }))
+        }
+      },
+      "/api/{year}/search": {
+        get: {
+          operationId: "searchPlans",
+          summary: "Plans matching text and filters",
+          parameters: [
+            year,
+            { name: "q", in: "query", description: "Plan name, organization, parent carrier or plan code contains this", schema: { type: "string" } },
+            { name: "state", in: "query", description: "Two-letter state", schema: { type: "string" } },
+            ...filters,
+            ...page
+          ],
+          responses: ok("Plan rows, one per plan segment and county", pageOf({ $ref: "#/components/schemas/PlanRow" }))
+        }
+      }
+    },
+    components: {
+      schemas: {
+        PlanRow: {
+          type: "object",
+          required: ["contractId", "planId", "segmentId", "planCode", "planKey", "state", "county", "county_fips"],
+          properties: {
+            contractId: { type: "string" },
+            planId: { type: "string" },
+            segmentId: { type: "string" },
+            planCode: { type: "string", description: "contract-plan" },
+            planKey: { type: "string", description: "contract-plan-segment" },
+            orgName: { type: "string" },
+            parentCarrier: { type: "string" },
+            marketingName: { type: "string" },
+            planType: { type: "string" },
+            snpType: { type: ["string", "null"] },
+            snp: {
+              type: "object",
+              properties: {
+                type: { type: "string", enum: ["none", "D-SNP", "C-SNP", "I-SNP", "SNP"] },
+                integration: { type: ["string", "null"], enum: ["FIDE", "HIDE", "coordination-only", null] },
+                conditions: { type: ["array", "null"], items: { type: "string" } }
+              }
+            },
+            employerGroup: { type: "boolean", description: "Employer group plan (plan ID 800-899)" },
+            premium: { type: ["number", "null"] },
+            moop: { type: ["number", "null"] },
+            starRating: { type: ["number", "null"] },
+            state: { type: "string" },
+            county: { type: "string" },
+            county_fips: { type: "string" },
+            countyWeight: { type: "number", description: "The county's share of the ZIP (ZIP route only)" }
+          },
+          additionalProperties: true
+        },
+        Carrier: {
+          type: "object",
+          required: ["parentCarrier", "planCount"],
+          properties: {
+            parentCarrier: { type: "string" },
+            orgName: { type: "string" },
+            orgNames: { type: "array", items: { type: "string" } },
+            contractIds: { type: "array", items: { type: "string" } },
+            planCount: { type: "integer" },
+            premiumRange: { type: ["array", "null"], items: { type: "number" }, minItems: 2, maxItems: 2 }
+          }
+        },
+        Error: { type: "object", required: ["error"], properties: { error: { type: "string" } } }
+      }
+    }
+  };
+}
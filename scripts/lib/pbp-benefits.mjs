@@ -0,0 +1,107 @@
+// scripts/lib/pbp-benefits.mjs
+// Supplemental benefits from the CMS Plan Benefit Package (PBP) benefits ZIP: one
+// tab-delimited table per PBP section (pbp_b16_dental.txt, pbp_b17_eye_exams_wear.txt,
+// ...), each keyed by pbp_a_hnumber / pbp_a_plan_identifier / segment_id.
+//
+// PBP column names are long and shift a little between years, so each benefit below
+// names its table and the column patterns to try, in order. A benefit whose table or
+// column is missing is simply left out.
+import path from "node:path";
+import { keyFromHeader, pick, padId, tablesInFile } from "./tables.mjs";
+
+// category -> field -> { table, columns, kind }
+//   kind: "amount" (dollars), "count", "yes" (Y/1 -> true) or "period" (text / months)
+export const BENEFITS = {
+  dental: {
+    annualMax: { table: /pbp_b16_dental/i, columns: [/^pbp_b16c_maxplan_cmp_amt$/i, /^pbp_b16c.*max.*amt$/i, /^pbp_b16.*max.*amt$/i], kind: "amount" },
+    preventiveMax: { table: /pbp_b16_dental/i, columns: [/^pbp_b16b_maxplan_pv_amt$/i, /^pbp_b16b.*max.*amt$/i], kind: "amount" }
+  },
+  vision: {
+    eyewearAllowance: { table: /pbp_b17_eye/i, columns: [/^pbp_b17b_comb_maxplan_amt$/i, /^pbp_b17b.*max.*amt$/i], kind: "amount" },
+    routineExams: { table: /pbp_b17_eye/i, columns: [/^pbp_b17a_numv_amt$/i, /^pbp_b17a.*num.*amt$/i], kind: "count" }
+  },
+  hearing: {
+    hearingAidAllowance: { table: /pbp_b18_hearing/i, columns: [/^pbp_b18b_maxplan_amt$/i, /^pbp_b18b.*max.*amt$/i], kind: "amount" },
+    hearingAids: { table: /pbp_b18_hearing/i, columns: [/^pbp_b18b_num_amt$/i, /^pbp_b18b.*num.*amt$/i], kind: "count" }
+  },
+  otc: {
+    allowance: { table: /pbp_b13_other/i, columns: [/^pbp_b13b_maxplan_amt$/i, /^pbp_b13b.*max.*amt$/i], kind: "amount" },
+    period: { table: /pbp_b13_other/i, columns: [/^pbp_b13b_otc_maxplan_per$/i, /^pbp_b13b.*max.*per$/i], kind: "period" }
+  },
+  transportation: {
+    trips: { table: /pbp_b10_amb_trans/i, columns: [/^pbp_b10b_bendesc_amt_pal$/i, /^pbp_b10b.*(trip|amt_pal)/i], kind: "count" }
+  },
+  fitness: {
+    covered: { table: /pbp_b14c/i, columns: [/^pbp_b14c_bendesc_yn$/i, /^pbp_b14c.*fitness/i], kind: "yes" }
+  },
+  partB: {
+    giveback: { table: /pbp_section_d/i, columns: [/^pbp_d_mco_pay_reduct_amt$/i, /^pbp_d.*reduct.*amt$/i], kind: "amount" }
+  }
+};
+
+// Months per OTC period, for the quarterly figure (checked in order)
+const PERIOD_MONTHS = [
+  [/quarter|three months|3 months/i, 3],
+  [/six months|6 months|semi/i, 6],
+  [/year|annual/i, 12],
+  [/month/i, 1]
+];
+
+// Read every benefit table in `zipPath`: Map(contract-plan-segment -> benefits)
+export function loadPbpBenefits(zipPath) {
+  const specs = Object.entries(BENEFITS).flatMap(([category, fields]) =>
+    Object.entries(fields).map(([field, spec]) => ({ category, field, ...spec }))
+  );
+  const wanted = (entryName) => specs.some((s) => s.table.test(path.basename(entryName)));
+
+  const byKey = new Map();
+  for (const { rows, sourceName } of tablesInFile(zipPath, wanted)) {
+    const tableSpecs = specs.filter((s) => s.table.test(path.basename(sourceName)));
+    const row0 = rows[0];
+    const k = {
+      contract: keyFromHeader(row0, ["pbp_a_hnumber"]),
+      plan: keyFromHeader(row0, ["pbp_a_plan_identifier"]),
+      segment: keyFromHeader(row0, ["segment_id"])
+    };
+    const headers = Object.keys(row0);
+    const columns = tableSpecs
+      .map((s) => ({ ...s, column: s.columns.map((re) => headers.find((h) => re.test(h.trim()))).find(Boolean) }))
+      .filter((s) => s.column);
+    if (!k.contract || !k.plan || !columns.length) continue;
+    console.log(`[INFO] PBP ${sourceName}: ${columns.map((c) => `${c.category}.${c.field}`).join(", ")}`);
+
+    for (const r of rows) {
+      const contract = String(pick(r, [k.contract]) ?? "").trim().toUpperCase();
+      const plan = padId(pick(r, [k.plan]));
+      if (!contract || !plan) continue;
+      const key = `${contract}-${plan}-${padId(pick(r, [k.segment])) || "000"}`;
+      let b = byKey.get(key);
+      if (!b) {
+        b = {};
+        byKey.set(key, b);
+      }
+      for (const c of columns) {
+        const value = readValue(r[c.column], c.kind);
+        if (value == null) continue;
+        (b[c.category] ||= {})[c.field] ??= value;
+      }
+    }
+  }
+
+  // OTC: normalize to a quarterly figure when the period is known
+  for (const b of byKey.values()) {
+    if (b.otc?.allowance == null) continue;
+    const months = PERIOD_MONTHS.find(([re]) => re.test(String(b.otc.period ?? "")))?.[1];
+    b.otc.quarterlyAllowance = months ? Math.round((b.otc.allowance / months) * 3 * 100) / 100 : null;
+  }
+  return byKey;
+}
+
+function readValue(v, kind) {
+  const s = String(v ?? "").trim();
+  if (!s) return null;
+  if (kind === "yes") return /^(y|yes|1|true)$/i.test(s) ? true : /^(n|no|2|0|false)$/i.test(s) ? false : null;
+  if (kind === "period") return s;
+  const m = s.replace(/[$,]/g, "").match(/-?\d+(?:\.\d+)?/);
+  return m ? Number(m[0]) : null;
+}
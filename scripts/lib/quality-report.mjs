@@ -0,0 +1,110 @@
+// scripts/lib/quality-report.mjs
+// Per-year record of Landscape rows the build dropped or could not resolve, written
+// as years/<year>/quality-report.json.
+//
+// Skipped rows are counted per reason with a few sample rows each. County names that
+// did not resolve to a FIPS code, duplicate contract-plan-segment-county rows and
+// ZCTAs whose counties have no plans are listed separately. Duplicates are dropped
+// from the output but do not count as lost rows.
+
+// Skip reasons, in the order the build checks them
+export const SKIP_REASONS = {
+  "missing-state-or-county": "No county FIPS and no state + county name to resolve one",
+  "unresolved-county": "State + county name not found in the Census Gazetteer",
+  "missing-contract-or-plan": "No contract ID or plan ID"
+};
+
+const SAMPLE_SIZE = 5;
+
+export function createQualityReport(year) {
+  let rowsIn = 0;
+  const skips = new Map(); // reason -> {count, samples}
+  const countyNames = new Map(); // "ST::name" -> {state, countyName, normalized, rows}
+  const seen = new Set(); // contract-plan-segment-county
+  const duplicates = new Map(); // same key -> {key, county_fips, rows}
+
+  return {
+    // Every MA row considered for the year
+    row() {
+      rowsIn++;
+    },
+
+    skip(reason, row, detail = {}) {
+      let s = skips.get(reason);
+      if (!s) {
+        s = { count: 0, samples: [] };
+        skips.set(reason, s);
+      }
+      s.count++;
+      if (s.samples.length < SAMPLE_SIZE) s.samples.push({ ...detail, row });
+    },
+
+    unresolvedCounty(state, countyName, normalized) {
+      const key = `${state.toUpperCase()}::${normalized}`;
+      let c = countyNames.get(key);
+      if (!c) {
+        c = { state: state.toUpperCase(), countyName, normalized, rows: 0 };
+        countyNames.set(key, c);
+      }
+      c.rows++;
+    },
+
+    // True the first time a segment is seen in a county; later sightings are recorded
+    firstInCounty(segmentKey, countyFips) {
+      const key = `${segmentKey}::${countyFips}`;
+      if (!seen.has(key)) {
+        seen.add(key);
+        return true;
+      }
+      let d = duplicates.get(key);
+      if (!d) {
+        d = { key: segmentKey, county_fips: countyFips, rows: 1 };
+        duplicates.set(key, d);
+      }
+      d.rows++;
+      return false;
+    },
+
+    // Build the report; `zipIndex` and `carriersByCounty` find ZCTAs with no plans at all
+    finish(zipIndex, carriersByCounty) {
+      const skipped = Array.from(skips.values()).reduce((a, s) => a + s.count, 0);
+      const duplicateRows = Array.from(duplicates.values()).reduce((a, d) => a + d.rows - 1, 0);
+      const zctasWithoutPlans = zipIndex
+        .filter(({ counties }) => !counties.some(([fips]) => carriersByCounty.has(fips)))
+        .map(({ zip, counties }) => ({ zip, counties: counties.map(([fips]) => fips) }));
+
+      return {
+        year,
+        rows: rowsIn,
+        kept: rowsIn - skipped - duplicateRows,
+        skipped,
+        lossRate: rowsIn ? Math.round((skipped / rowsIn) * 10000) / 10000 : 0,
+        skips: Object.keys(SKIP_REASONS)
+          .filter((reason) => skips.has(reason))
+          .map((reason) => ({ reason, description: SKIP_REASONS[reason], ...skips.get(reason) })),
+        unresolvedCountyNames: Array.from(countyNames.values()).sort(
+          (a, b) => b.rows - a.rows || a.state.localeCompare(b.state) || a.countyName.localeCompare(b.countyName)
+        ),
+        duplicates: {
+          count: duplicateRows,
+          rows: Array.from(duplicates.values()).sort((a, b) => a.key.localeCompare(b.key) || a.county_fips.localeCompare(b.county_fips))
+        },
+        zctasWithoutPlans: { count: zctasWithoutPlans.length, zctas: zctasWithoutPlans }
+      };
+    }
+  };
+}
+
+// Readable console lines for a finished report
+export function summarizeQualityReport(report) {
+  const pct = (report.lossRate * 100).toFixed(2);
+  const lines = [`Year ${report.year}: kept ${report.kept} of ${report.rows} MA row(s); skipped ${report.skipped} (${pct}%)`];
+  for (const s of report.skips) lines.push(`  ${s.reason}: ${s.count}`);
+  if (report.unresolvedCountyNames.length) {
+    const top = report.unresolvedCountyNames.slice(0, 5).map((c) => `${c.state} ${c.countyName}`);
+    lines.push(`  unresolved county names: ${report.unresolvedCountyNames.length} (${top.join("; ")}${report.unresolvedCountyNames.length > 5 ? "; ..." : ""})`);
+  }
+  if (report.duplicates.count) lines.push(`  duplicate plan-county rows dropped: ${report.duplicates.count}`);
+  if (report.zctasWithoutPlans.count) lines.push(`  ZCTAs with no plans in any county: ${report.zctasWithoutPlans.count}`);
+  return lines;
+}
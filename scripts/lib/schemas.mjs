@@ -0,0 +1,116 @@
+// scripts/lib/schemas.mjs
+// JSON Schemas for the published files (schemas/v1/*.schema.json) and a small
+// validator for the subset of draft 2020-12 they use: $ref (to $defs, also across
+// files), allOf, anyOf, type, enum, pattern, minimum/maximum, required,
+// properties, items, prefixItems and minItems/maxItems.
+//
+// Every validated object file is stamped with SCHEMA_VERSION at the top level. Array
+// files are not; years/<year>/schemas.json (kind "schemas") gives their version once.
+import fs from "node:fs/promises";
+import path from "node:path";
+
+export const SCHEMA_VERSION = "1.7.0";
+export const SCHEMA_DIR = path.resolve("schemas", `v${SCHEMA_VERSION.split(".")[0]}`);
+
+// File kinds validated by the build -> schema file
+export const SCHEMA_FILES = {
+  "by-county": "by-county.schema.json",
+  "by-county-shard": "by-county-shard.schema.json",
+  "county-index": "county-index.schema.json",
+  "zip-index": "zip-index.schema.json",
+  zips: "zips.schema.json",
+  plans: "plans.schema.json",
+  "by-plan": "by-plan.schema.json",
+  "plan-details": "plan-details.schema.json",
+  schemas: "schemas.schema.json"
+};
+
+export async function loadSchemas(dir = SCHEMA_DIR) {
+  const registry = new Map(); // file name -> schema
+  for (const name of (await fs.readdir(dir)).filter((f) => f.endsWith(".schema.json"))) {
+    registry.set(name, JSON.parse(await fs.readFile(path.join(dir, name), "utf8")));
+  }
+
+  // Errors for `data` against the schema of `kind`: [{ path, message }], empty when valid
+  function validate(kind, data) {
+    const file = SCHEMA_FILES[kind];
+    const schema = registry.get(file);
+    if (!schema) throw new Error(`No schema for "${kind}" in ${dir}`);
+    const errors = [];
+    check(schema, data, "$", file, errors);
+    return errors;
+  }
+
+  function resolve(ref, baseFile) {
+    const [file, pointer = ""] = ref.split("#");
+    const target = file || baseFile;
+    let node = registry.get(target);
+    if (!node) throw new Error(`Unresolved $ref ${ref} in ${baseFile}`);
+    for (const part of pointer.split("/").filter(Boolean)) node = node?.[part];
+    if (!node) throw new Error(`Unresolved $ref ${ref} in ${baseFile}`);
+    return { schema: node, file: target };
+  }
+
+  function check(schema, v, at, file, errors) {
+    if (schema.$ref) {
+      const r = resolve(schema.$ref, file);
+      check(r.schema, v, at, r.file, errors);
+    }
+    for (const sub of schema.allOf || []) check(sub, v, at, file, errors);
+    if (schema.anyOf && !schema.anyOf.some((sub) => isValid(sub, v, at, file))) {
+      errors.push({ path: at, message: "does not match any allowed shape" });
+    }
+    if (schema.type && !typeMatches(schema.type, v)) {
+      errors.push({ path: at, message: `expected ${[].concat(schema.type).join(" or ")}, got ${typeOf(v)}` });
+      return;
+    }
+    if (schema.enum && !schema.enum.includes(v)) errors.push({ path: at, message: `not one of ${schema.enum.join(", ")}` });
+    if (typeof v === "string" && schema.pattern && !new RegExp(schema.pattern).test(v)) {
+      errors.push({ path: at, message: `"${v}" does not match ${schema.pattern}` });
+    }
+    if (typeof v === "number") {
+      if (schema.minimum !== undefined && v < schema.minimum) errors.push({ path: at, message: `${v} < ${schema.minimum}` });
+      if (schema.maximum !== undefined && v > schema.maximum) errors.push({ path: at, message: `${v} > ${schema.maximum}` });
+    }
+    if (Array.isArray(v)) {
+      if (schema.minItems !== undefined && v.length < schema.minItems) errors.push({ path: at, message: `fewer than ${schema.minItems} item(s)` });
+      if (schema.maxItems !== undefined && v.length > schema.maxItems) errors.push({ path: at, message: `more than ${schema.maxItems} item(s)` });
+      const prefix = schema.prefixItems || [];
+      v.forEach((item, i) => {
+        const sub = prefix[i] || schema.items;
+        if (sub) check(sub, item, `${at}[${i}]`, file, errors);
+      });
+    } else if (v && typeof v === "object") {
+      for (const key of schema.required || []) {
+        if (!(key in v)) errors.push({ path: at, message: `missing "${key}"` });
+      }
+      for (const [key, sub] of Object.entries(schema.properties || {})) {
+        if (key in v) check(sub, v[key], `${at}.${key}`, file, errors);
+      }
+    }
+  }
+
+  function isValid(schema, v, at, file) {
+    const errors = [];
+    check(schema, v, at, file, errors);
+    return !errors.length;
+  }
+
+  return { validate, dir };
+}
+
+// Add schemaVersion to an object; arrays are left as they are (see schemas.json)
+export function stampSchemaVersion(data) {
+  if (Array.isArray(data)) return data;
+  return { schemaVersion: SCHEMA_VERSION, ...data };
+}
+
+function typeMatches(type, v) {
+  return [].concat(type).some((t) => (t === "integer" ? Number.isInteger(v) : t === typeOf(v)));
+}
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  return typeof v;
+}
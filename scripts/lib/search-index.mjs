@@ -0,0 +1,99 @@
+// scripts/lib/search-index.mjs
+// Prebuilt search over carriers, plan segments and counties, for the type-ahead boxes
+// (web-demo/search-box.js). Written under years/<year>/search/:
+//
+//   search/index.json         { docCount, chunkSize, terms: ["ae", "hu", ...] }
+//   search/docs/<n>.json      docs n*chunkSize .. (n+1)*chunkSize-1
+//   search/terms/<xx>.json    { term: [doc, ...] } for every term starting with "xx"
+//
+// A doc is [kind, id, label, detail] with kind "c" (carrier: id is the parent carrier,
+// plus a fifth element, the doc numbers of its plans), "p" (plan: id is the
+// contract-plan-segment key) or "k" (county: id is the FIPS). Carriers come first,
+// then plans, then counties, so ties rank in that order.
+//
+// Terms are whole words (see `tokenize`): names, organizations, alias variants,
+// contract IDs, plan numbers and states. Prefix and typo matching happen in the browser.
+const STOPWORDS = new Set(["the", "of", "and", "for", "inc", "llc", "co", "corp", "company", "county"]);
+
+// Lower-case words of 2+ characters: "Humana Gold Plus (HMO)" -> ["humana", "gold", "plus", "hmo"]
+export function tokenize(text) {
+  return String(text ?? "")
+    .toLowerCase()
+    .replace(/&/g, " and ")
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t.length > 1 && !STOPWORDS.has(t));
+}
+
+// `aliasesOf(parentCarrier)` lists the carrier's alias variants (lib/carrier-aliases.mjs)
+export function buildSearchIndex(carriersByCounty, { aliasesOf = () => [], chunkSize = 500 } = {}) {
+  const carriers = new Map(); // parent -> {orgNames, contractIds, keys}
+  const plans = new Map(); // contract-plan-segment -> {p: first county row, orgNames, states}
+  const counties = [];
+  for (const bucket of carriersByCounty.values()) {
+    const countyKeys = new Set();
+    for (const carrier of bucket.carriers.values()) {
+      let c = carriers.get(carrier.parentCarrier);
+      if (!c) {
+        c = { orgNames: new Set(), contractIds: new Set(), keys: new Set() };
+        carriers.set(carrier.parentCarrier, c);
+      }
+      for (const o of carrier.orgNames) c.orgNames.add(o);
+      for (const id of carrier.contractIds) c.contractIds.add(id);
+      for (const p of carrier.plans) {
+        const key = `${p.contractId}-${p.planId}-${p.segmentId}`;
+        countyKeys.add(key);
+        c.keys.add(key);
+        let plan = plans.get(key);
+        if (!plan) {
+          plan = { p, orgNames: new Set(), states: new Set() };
+          plans.set(key, plan);
+        }
+        plan.orgNames.add(p.orgName);
+        if (bucket.state) plan.states.add(bucket.state);
+      }
+    }
+    counties.push({ fips: bucket.county_fips, name: bucket.county_name, state: bucket.state, planCount: countyKeys.size });
+  }
+
+  const docs = [];
+  const postings = new Map(); // term -> [doc, ...]
+  const add = (doc, texts) => {
+    const n = docs.push(doc) - 1;
+    for (const term of new Set(texts.flatMap(tokenize))) {
+      if (!postings.has(term)) postings.set(term, []);
+      postings.get(term).push(n);
+    }
+  };
+
+  const carrierList = Array.from(carriers.entries()).sort(([a, x], [b, y]) => y.keys.size - x.keys.size || a.localeCompare(b));
+  const planKeys = Array.from(plans.keys()).sort();
+  // Carrier docs point at plan docs, which follow them
+  const planDoc = new Map(planKeys.map((key, i) => [key, carrierList.length + i]));
+
+  for (const [parent, c] of carrierList) {
+    const contractIds = Array.from(c.contractIds).sort();
+    const shown = contractIds.length > 3 ? `${contractIds.slice(0, 3).join(", ")}, …` : contractIds.join(", ");
+    const refs = Array.from(c.keys, (key) => planDoc.get(key)).sort((a, b) => a - b);
+    add(["c", parent, parent, `Carrier · ${refs.length} plan(s) · ${shown}`, refs], [parent, ...c.orgNames, ...aliasesOf(parent), ...contractIds]);
+  }
+  for (const key of planKeys) {
+    const { p, orgNames, states } = plans.get(key);
+    const detail = ["Plan", key, p.orgName, p.planType, Array.from(states).sort().join(", ")].filter(Boolean).join(" · ");
+    add(["p", key, p.marketingName || key, detail], [p.marketingName, ...orgNames, p.parentCarrier, p.planType, p.contractId, `${p.contractId}${p.planId}`, p.planId, ...states]);
+  }
+  counties.sort((a, b) => a.fips.localeCompare(b.fips));
+  for (const k of counties) {
+    add(["k", k.fips, `${k.name}, ${k.state}`, `County · ${k.fips} · ${k.planCount} plan(s)`], [k.name, k.state, k.fips]);
+  }
+
+  // Terms sharded by their first two characters
+  const terms = new Map(); // "hu" -> { term: [doc, ...] }
+  for (const term of Array.from(postings.keys()).sort()) {
+    const shard = term.slice(0, 2);
+    if (!terms.has(shard)) terms.set(shard, {});
+    terms.get(shard)[term] = postings.get(term);
+  }
+  const chunks = [];
+  for (let i = 0; i < docs.length; i += chunkSize) chunks.push(docs.slice(i, i + chunkSize));
+  return { docCount: docs.length, chunkSize, chunks, terms };
+}
@@ -0,0 +1,109 @@
+// scripts/lib/snp.mjs
+// Special Needs Plan classification and employer group plans.
+//
+// The Landscape only has a free-text SNP type ("Dual-Eligible", "Chronic or Disabling
+// Condition", "Institutional"; some releases just a Yes/No indicator). The CMS SNP
+// Comprehensive Report (monthly, CSV/XLSX or its ZIP) adds each D-SNP's integration
+// level and each C-SNP's qualifying conditions, per contract-plan. Its header row is
+// found by its "Contract Number" cell, as the report opens with title lines.
+//
+// Plans get `snp`: { type, integration, conditions }, where type is "none", "D-SNP",
+// "C-SNP", "I-SNP" or "SNP" (a SNP the sources don't say the kind of); integration
+// ("FIDE", "HIDE", "coordination-only") is for D-SNPs and conditions for C-SNPs, null
+// when unknown.
+import path from "node:path";
+import { padId, tablesInFile } from "./tables.mjs";
+
+// SNP indicator values; any other text without a kind is not a SNP
+const NOT_SNP = /^(no|n|false|none|non[- ]?snp|not[- ]?(a[- ])?snp|n\/?a|not applicable)?$/i;
+const IS_SNP = /^(yes|y|true|snp|special needs( plan)?)$/i;
+const CONTRACT_HEADER = /^contract[ _]*(number|id)$/i;
+const COLUMNS = {
+  plan: /^plan[ _]*id$/i,
+  type: /^(special needs plan|snp)[ _]*type$/i,
+  integration: /integrat|fide|hide/i,
+  conditions: /specialty[ _]*disease|chronic[ _]*condition|qualifying[ _]*condition/i
+};
+
+// Read every SNP report table in `files`: Map(year (or null) -> Map("contract-plan" -> {type, integration, conditions})).
+// The year comes from the file name; later files win for the same plan.
+export function loadSnpReport(files) {
+  const byYear = new Map();
+  for (const file of files) {
+    const year = Number(path.basename(file).match(/20\d\d/)?.[0]) || null;
+    if (!byYear.has(year)) byYear.set(year, new Map());
+    const plans = byYear.get(year);
+    for (const { rows, sourceName } of tablesInFile(file, () => true, { header: false })) {
+      const headerAt = rows.slice(0, 10).findIndex((r) => r.some((c) => CONTRACT_HEADER.test(cell(c))));
+      if (headerAt < 0) continue;
+      const header = rows[headerAt].map(cell);
+      const at = { contract: header.findIndex((h) => CONTRACT_HEADER.test(h)) };
+      for (const [field, re] of Object.entries(COLUMNS)) at[field] = header.findIndex((h) => re.test(h));
+      if (at.plan < 0 || at.type < 0) continue;
+      let n = 0;
+      for (const r of rows.slice(headerAt + 1)) {
+        const contract = cell(r[at.contract]).toUpperCase();
+        const plan = padId(r[at.plan]);
+        if (!/^[HR]\d{4}$/.test(contract) || !plan) continue;
+        plans.set(`${contract}-${plan}`, {
+          type: snpKind(r[at.type]),
+          integration: at.integration >= 0 ? integrationLevel(r[at.integration]) : null,
+          conditions: at.conditions >= 0 ? splitConditions(r[at.conditions]) : null
+        });
+        n++;
+      }
+      console.log(`[INFO] SNP report${year ? ` ${year}` : ""} ${sourceName}: ${n} plan(s)`);
+    }
+  }
+  return byYear;
+}
+
+// Structured SNP field for a Landscape row; `reported` is the plan's SNP report entry, if any
+export function classifySnp(snpType, marketingName, reported) {
+  const text = cell(snpType);
+  const fromName = snpKind(String(marketingName ?? "").match(/\b([DCI]-SNP)\b/i)?.[1]);
+  let type = reported?.type || (NOT_SNP.test(text) ? null : snpKind(text)) || fromName;
+  if (!type) type = IS_SNP.test(text) ? "SNP" : "none"; // "Yes" without a kind
+  if (type === "none") return { type, integration: null, conditions: null };
+  return {
+    type,
+    integration: type === "D-SNP" ? (reported?.integration ?? integrationLevel(marketingName)) : null,
+    conditions: type === "C-SNP" ? (reported?.conditions ?? null) : null
+  };
+}
+
+// Employer group (EGWP) plans are numbered 800-899; some releases also say so in the plan type
+export function isEmployerGroup(planId, planType) {
+  const n = Number(planId);
+  return (n >= 800 && n <= 899) || /employer/i.test(planType ?? "");
+}
+
+// "Dual-Eligible" -> "D-SNP"; "Chronic or Disabling Condition" -> "C-SNP"; "Institutional" -> "I-SNP"
+function snpKind(v) {
+  const s = cell(v);
+  if (/dual|\bd-?snp\b/i.test(s)) return "D-SNP";
+  if (/chronic|disabling|\bc-?snp\b/i.test(s)) return "C-SNP";
+  if (/institution|\bi-?snp\b/i.test(s)) return "I-SNP";
+  return null;
+}
+
+function integrationLevel(v) {
+  const s = cell(v);
+  if (/\bfide\b|fully integrated/i.test(s)) return "FIDE";
+  if (/\bhide\b|highly integrated/i.test(s)) return "HIDE";
+  if (/coordination/i.test(s)) return "coordination-only";
+  return null;
+}
+
+// "Diabetes mellitus; Chronic heart failure" -> ["Diabetes mellitus", "Chronic heart failure"]
+function splitConditions(v) {
+  const list = cell(v)
+    .split(/\s*[;|\n]\s*|,\s+(?=[A-Z])/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+  return list.length ? list : null;
+}
+
+function cell(v) {
+  return String(v ?? "").trim();
+}
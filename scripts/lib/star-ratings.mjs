@@ -0,0 +1,133 @@
+// scripts/lib/star-ratings.mjs
+// CMS Part C and D Star Ratings data tables (the "<yyyy> Star Ratings Data Table" ZIP,
+// or its CSV/XLSX files on their own): summary ratings, domain stars, measure stars,
+// measure data (the scores behind the stars) and the low / high performing lists.
+//
+// The tables open with a title line, and the measure tables have extra header rows
+// (domain names above the measure names, date ranges below). So the header row is the
+// one with a "Contract Number" / CONTRACT_ID cell, and data rows are the ones with a
+// contract ID in that column.
+import path from "node:path";
+import { tablesInFile } from "./tables.mjs";
+
+const TABLES = {
+  summary: /summary[ _-]*rating/i,
+  domainStars: /domain[ _-]*stars/i,
+  measureStars: /measure[ _-]*stars/i,
+  measureData: /measure[ _-]*data/i,
+  lowPerforming: /low[ _-]*perform/i,
+  highPerforming: /high[ _-]*perform/i
+};
+
+const CONTRACT_HEADER = /^contract[ _]*(number|id)$/i;
+const DOMAIN = /^([HD]D\d+)\s*:\s*(.+)$/;
+const MEASURE = /^([CD]\d{2})\s*:\s*(.+)$/;
+
+// Read every Star Ratings table in `files`: Map(year -> Map(contractId -> stars)).
+// The ratings year comes from the file name ("2025 Star Ratings ...") or the table
+// title (null when neither has one); CMS names ratings for the contract year they
+// apply to, so it matches the Landscape year.
+export function loadStarRatings(files) {
+  const byYear = new Map();
+  const kindOf = (name) => Object.keys(TABLES).find((kind) => TABLES[kind].test(path.basename(name)));
+  for (const file of files) {
+    for (const { rows, sourceName } of tablesInFile(file, (e) => Boolean(kindOf(e)), { header: false })) {
+      const kind = kindOf(sourceName) || kindOf(file);
+      const headerAt = rows.slice(0, 10).findIndex((r) => r.some((c) => CONTRACT_HEADER.test(cell(c))));
+      if (!kind || headerAt < 0) continue;
+      const year = firstYear(path.basename(file)) ?? firstYear(rows.slice(0, headerAt).flat().map(cell).join(" "));
+      if (!byYear.has(year)) byYear.set(year, { contracts: new Map(), lists: new Set() });
+      readTable(kind, rows, headerAt, byYear.get(year));
+      console.log(`[INFO] Star Ratings${year ? ` ${year}` : ""} ${sourceName}: ${kind}`);
+    }
+  }
+
+  const out = new Map();
+  for (const [year, { contracts, lists }] of byYear) {
+    for (const s of contracts.values()) {
+      // lists present, so absence from them means "no"
+      for (const kind of lists) s[kind] ??= false;
+      s.newContract = [s.overallRaw, s.partCRaw, s.partDRaw].some((v) => /too new/i.test(v ?? ""));
+      s.measures.sort((a, b) => a.id.localeCompare(b.id));
+    }
+    out.set(year, contracts);
+  }
+  return out;
+}
+
+function readTable(kind, rows, headerAt, { contracts, lists }) {
+  const header = rows[headerAt].map(cell);
+  const at = header.findIndex((c) => CONTRACT_HEADER.test(c));
+  const data = rows.slice(headerAt + 1).filter((r) => /^[A-Z]\d{4}$/.test(cell(r[at]).toUpperCase()));
+  const get = (contractId) => {
+    let s = contracts.get(contractId);
+    if (!s) {
+      s = emptyRecord();
+      contracts.set(contractId, s);
+    }
+    return s;
+  };
+
+  if (kind === "lowPerforming" || kind === "highPerforming") {
+    lists.add(kind);
+    for (const r of data) get(cell(r[at]).toUpperCase())[kind] = true;
+    return;
+  }
+
+  if (kind === "summary") {
+    const col = (re) => header.findIndex((h) => re.test(h) && !/disaster/i.test(h));
+    const cols = { partC: col(/part c summary/i), partD: col(/part d summary/i), overall: col(/overall/i) };
+    for (const r of data) {
+      const s = get(cell(r[at]).toUpperCase());
+      for (const [field, i] of Object.entries(cols)) if (i >= 0) Object.assign(s, rating(field, r[i]));
+    }
+    return;
+  }
+
+  if (kind === "domainStars") {
+    const domains = header.map((h, i) => [i, h.match(DOMAIN)]).filter(([, m]) => m);
+    for (const r of data) {
+      get(cell(r[at]).toUpperCase()).domains = domains.map(([i, m]) => ({ id: m[1], name: m[2].trim(), ...rating("stars", r[i]) }));
+    }
+    return;
+  }
+
+  // Measure stars / measure data: the domain row (if any) sits above the header,
+  // one label per group of measure columns
+  let domain = null;
+  const domainOf = (rows[headerAt - 1] || []).map((c) => (domain = cell(c).match(DOMAIN)?.[1] ?? domain));
+  const measures = header.map((h, i) => [i, h.match(MEASURE)]).filter(([, m]) => m);
+  const field = kind === "measureStars" ? "stars" : "score";
+  for (const r of data) {
+    const s = get(cell(r[at]).toUpperCase());
+    for (const [i, m] of measures) {
+      let measure = s.measures.find((x) => x.id === m[1]);
+      if (!measure) {
+        measure = { id: m[1], name: m[2].trim(), domain: domainOf[i] ?? null };
+        s.measures.push(measure);
+      }
+      Object.assign(measure, rating(field, r[i]));
+    }
+  }
+}
+
+function emptyRecord() {
+  return { overall: null, partC: null, partD: null, domains: [], measures: [] };
+}
+
+// "4.5 out of 5 stars" -> { field: 4.5 }; "74%" -> { field: 74 };
+// "Plan too new to be measured" -> { field: null, fieldRaw: "Plan too new to be measured" }
+function rating(field, v) {
+  const raw = cell(v);
+  const m = raw.replace(/,/g, "").match(/-?\d+(?:\.\d+)?/);
+  if (m) return { [field]: Number(m[0]) };
+  return raw ? { [field]: null, [`${field}Raw`]: raw } : { [field]: null };
+}
+
+function cell(v) {
+  return String(v ?? "").trim();
+}
+
+function firstYear(s) {
+  return Number(String(s).match(/20\d\d/)?.[0]) || null;
+}
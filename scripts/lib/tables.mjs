@@ -0,0 +1,158 @@
+// scripts/lib/tables.mjs
+// Shared helpers for reading CMS/Census tables (CSV, delimited TXT, XLSX, or any of
+// those inside a ZIP) and resolving their headers.
+import { readFileSync, createReadStream, openSync, readSync, closeSync } from "node:fs";
+import path from "node:path";
+import { Readable } from "node:stream";
+import AdmZip from "adm-zip";
+import { parse as parseCsvStream } from "csv-parse";
+import { parse as parseCsv } from "csv-parse/sync";
+import * as XLSX from "xlsx";
+
+export function keyFromHeader(row0, candidates) {
+  if (!row0) return undefined;
+  const keys = Object.keys(row0);
+  for (const want of candidates) {
+    const hit = keys.find(
+      (k) => k.trim().toLowerCase() === String(want).trim().toLowerCase()
+    );
+    if (hit) return hit;
+  }
+  return undefined;
+}
+
+export function pick(obj, keys) {
+  for (const k of keys) {
+    if (!k) continue;
+    if (Object.prototype.hasOwnProperty.call(obj, k)) return obj[k];
+  }
+  return undefined;
+}
+
+// Plan/segment IDs are 3-digit strings; XLSX sheets may hand them over as numbers
+export function padId(v) {
+  const s = String(v ?? "").trim();
+  if (!s) return "";
+  return /^\d+$/.test(s) ? s.padStart(3, "0") : s;
+}
+
+// Return the first table in `file` whose lower-cased headers satisfy accept(headers, rows).
+// `file` may be a ZIP (CSV/TXT entries are tried before XLSX sheets), or a single
+// CSV, TXT or XLSX file. Result: { rows, sourceName } or null.
+export function findTable(file, accept) {
+  for (const table of tablesInFile(file)) {
+    const headers = Object.keys(table.rows[0]).map((h) => String(h).trim().toLowerCase());
+    if (accept(headers, table.rows)) return table;
+  }
+  return null;
+}
+
+// Lazily yield every non-empty table in `file`. For a ZIP, `acceptEntry(entryName)`
+// can skip entries before they are parsed. With `{ header: false }` rows are arrays of
+// cells, for tables whose header is not on the first line.
+export function* tablesInFile(file, acceptEntry = () => true, { header = true } = {}) {
+  const name = path.basename(file);
+  // Download-cache blobs have no extension, so ZIPs are also recognized by their magic bytes
+  if (/\.zip$/i.test(name) || (!/\.xlsx?$/i.test(name) && isZip(file))) {
+    const entries = new AdmZip(file).getEntries().filter((e) => !e.isDirectory && acceptEntry(e.entryName));
+    // 1) try delimited text first
+    for (const e of entries.filter((e) => /\.(csv|txt)$/i.test(e.entryName))) {
+      const rows = parseDelimited(e.getData().toString("utf8"), header);
+      if (rows?.length) yield { rows, sourceName: e.entryName };
+    }
+    // 2) fall back to XLSX sheets
+    for (const e of entries.filter((e) => /\.xlsx?$/i.test(e.entryName))) {
+      yield* xlsxTables(e.getData(), e.entryName, header);
+    }
+    return;
+  }
+  if (/\.xlsx?$/i.test(name)) {
+    yield* xlsxTables(readFileSync(file), name, header);
+    return;
+  }
+  const rows = parseDelimited(readFileSync(file, "utf8"), header);
+  if (rows?.length) yield { rows, sourceName: name };
+}
+
+// Stream the rows of a large delimited text file (CSV, pipe or tab, sniffed from the
+// header line) to onRow(row) without holding the parsed rows in memory. For a ZIP, the
+// first CSV/TXT entry passing `acceptEntry(entryName)` is read. Resolves to the row count.
+export async function eachRow(file, onRow, acceptEntry = () => true) {
+  let input;
+  let firstLine;
+  if (/\.zip$/i.test(file) || isZip(file)) {
+    const entry = new AdmZip(file)
+      .getEntries()
+      .find((e) => !e.isDirectory && /\.(csv|txt)$/i.test(e.entryName) && acceptEntry(e.entryName));
+    if (!entry) return 0;
+    const data = entry.getData();
+    firstLine = data.subarray(0, 4096).toString("utf8").split(/\r?\n/)[0];
+    input = Readable.from([data]);
+  } else {
+    firstLine = await readFirstLine(file);
+    input = createReadStream(file);
+  }
+  const delimiter = ["|", "\t", ","].find((d) => firstLine.includes(d)) || ",";
+  const parser = input.pipe(
+    parseCsvStream({
+      columns: true,
+      skip_empty_lines: true,
+      bom: true,
+      delimiter,
+      relax_column_count: true,
+      relax_quotes: delimiter !== ","
+    })
+  );
+  let count = 0;
+  for await (const row of parser) {
+    onRow(row);
+    count++;
+  }
+  return count;
+}
+
+async function readFirstLine(file) {
+  let head = "";
+  for await (const chunk of createReadStream(file, { encoding: "utf8", highWaterMark: 4096 })) {
+    head += chunk;
+    if (head.includes("\n")) break;
+  }
+  return head.split(/\r?\n/)[0];
+}
+
+function isZip(file) {
+  const buf = Buffer.alloc(4);
+  const fd = openSync(file, "r");
+  try {
+    readSync(fd, buf, 0, 4, 0);
+  } finally {
+    closeSync(fd);
+  }
+  return buf.toString("latin1") === "PK\x03\x04";
+}
+
+function* xlsxTables(buf, entryName, header = true) {
+  const wb = XLSX.read(buf, { type: "buffer" });
+  for (const sheetName of wb.SheetNames) {
+    const json = XLSX.utils.sheet_to_json(wb.Sheets[sheetName], header ? { defval: "" } : { header: 1, defval: "" });
+    if (json.length) yield { rows: json, sourceName: `${entryName}#${sheetName}` };
+  }
+}
+
+// CSV, or pipe/tab-delimited text (sniffed from the header line)
+function parseDelimited(txt, header = true) {
+  const firstLine = txt.slice(0, txt.indexOf("\n") >>> 0);
+  const delimiter = ["|", "\t", ","].find((d) => firstLine.includes(d)) || ",";
+  try {
+    return parseCsv(txt, {
+      columns: header,
+      skip_empty_lines: true,
+      bom: true,
+      delimiter,
+      relax_column_count: true,
+      relax_quotes: delimiter !== ","
+    });
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,187 @@
+// scripts/lib/year-diff.mjs
+// Compare two contract years of county buckets (the `carriersByCounty` maps built by
+// build_ma_dataset.mjs) keyed on contract-plan-segment.
+//
+// Per plan segment: new, terminated or continuing, the counties added/removed
+// (service-area expansion/reduction) and field changes (premium, MOOP, stars, ...).
+// Per county: plans that are new, terminated, entered by expansion, left by
+// reduction or changed, plus carriers (by parent) that entered or exited.
+
+// Fields compared for continuing plans
+export const DIFF_FIELDS = ["premium", "moop", "drugDeductible", "starRating", "partBGiveback"];
+
+export function segmentKey(p) {
+  return `${p.contractId}-${p.planId}-${p.segmentId}`;
+}
+
+// `link(curKey)` returns the prior-year key a current plan continues (identity by default).
+// `mergedInto(prevKey)` returns the current key a prior plan was consolidated into, if any;
+// such plans are reported as "consolidated" rather than plain terminations.
+export function diffYears(prevBuckets, curBuckets, { link = (k) => k, mergedInto = () => null } = {}) {
+  const prev = indexBuckets(prevBuckets);
+  const cur = indexBuckets(curBuckets);
+
+  // prior key -> current key, for continuing plans
+  const nextOf = new Map();
+  for (const key of cur.plans.keys()) {
+    const prevKey = link(key);
+    if (prevKey && prev.plans.has(prevKey)) nextOf.set(prevKey, key);
+  }
+  const prevOf = new Map(Array.from(nextOf.entries(), ([p, c]) => [c, p]));
+
+  // ---- by plan segment ----
+  const bySegment = [];
+  for (const [key, c] of cur.plans.entries()) {
+    const prevKey = prevOf.get(key);
+    if (!prevKey) {
+      bySegment.push({ key, status: "new", plan: planRef(c.plan), countiesAdded: areaList(c.counties, cur) });
+      continue;
+    }
+    const p = prev.plans.get(prevKey);
+    bySegment.push({
+      key,
+      previousKey: prevKey,
+      status: "continuing",
+      plan: planRef(c.plan),
+      countiesAdded: areaList(difference(c.counties, p.counties), cur),
+      countiesRemoved: areaList(difference(p.counties, c.counties), prev),
+      changes: fieldChanges(p.plan, c.plan)
+    });
+  }
+  const consolidatedInto = (prevKey) => {
+    const into = mergedInto(prevKey);
+    return into && into !== prevKey && cur.plans.has(into) ? into : null;
+  };
+  for (const [prevKey, p] of prev.plans.entries()) {
+    if (nextOf.has(prevKey)) continue;
+    const into = consolidatedInto(prevKey);
+    bySegment.push({
+      key: prevKey,
+      status: into ? "consolidated" : "terminated",
+      ...(into ? { nextKey: into } : {}),
+      plan: planRef(p.plan),
+      countiesRemoved: areaList(p.counties, prev)
+    });
+  }
+
+  // ---- by county ----
+  const byCounty = new Map();
+  const fipsAll = new Set([...prev.counties.keys(), ...cur.counties.keys()]);
+  for (const fips of fipsAll) {
+    const pc = prev.counties.get(fips);
+    const cc = cur.counties.get(fips);
+    const out = {
+      county_fips: fips,
+      state: (cc || pc).state,
+      county_name: (cc || pc).county_name,
+      newPlans: [],
+      terminatedPlans: [],
+      expansions: [],
+      reductions: [],
+      changed: [],
+      carrierEntries: [],
+      carrierExits: []
+    };
+    const prevPlans = pc?.plans || new Map();
+    const curPlans = cc?.plans || new Map();
+
+    for (const [key, plan] of curPlans.entries()) {
+      const prevKey = prevOf.get(key);
+      if (!prevKey) out.newPlans.push(planRef(plan));
+      else if (!prevPlans.has(prevKey)) out.expansions.push(planRef(plan));
+      else {
+        const changes = fieldChanges(prevPlans.get(prevKey), plan);
+        if (changes.length) out.changed.push({ ...planRef(plan), changes });
+      }
+    }
+    for (const [prevKey, plan] of prevPlans.entries()) {
+      const key = nextOf.get(prevKey);
+      if (!key) {
+        const into = consolidatedInto(prevKey);
+        out.terminatedPlans.push(into ? { ...planRef(plan), consolidatedInto: into } : planRef(plan));
+      } else if (!curPlans.has(key)) out.reductions.push(planRef(plan));
+    }
+
+    const prevCarriers = pc?.carriers || new Set();
+    const curCarriers = cc?.carriers || new Set();
+    out.carrierEntries = Array.from(difference(curCarriers, prevCarriers)).sort();
+    out.carrierExits = Array.from(difference(prevCarriers, curCarriers)).sort();
+
+    out.summary = {
+      newPlans: out.newPlans.length,
+      terminatedPlans: out.terminatedPlans.length,
+      expansions: out.expansions.length,
+      reductions: out.reductions.length,
+      changed: out.changed.length,
+      carrierEntries: out.carrierEntries.length,
+      carrierExits: out.carrierExits.length
+    };
+    byCounty.set(fips, out);
+  }
+
+  return { bySegment, byCounty };
+}
+
+// plans: key -> {plan, counties:Set}; counties: fips -> {state, county_name, plans: Map(key -> plan), carriers: Set}
+function indexBuckets(buckets) {
+  const plans = new Map();
+  const counties = new Map();
+  for (const [fips, bucket] of buckets.entries()) {
+    const county = { state: bucket.state, county_name: bucket.county_name, plans: new Map(), carriers: new Set() };
+    counties.set(fips, county);
+    for (const carrier of bucket.carriers.values()) {
+      county.carriers.add(carrier.parentCarrier);
+      for (const p of carrier.plans) {
+        const key = segmentKey(p);
+        county.plans.set(key, p);
+        let entry = plans.get(key);
+        if (!entry) {
+          entry = { plan: p, counties: new Set() };
+          plans.set(key, entry);
+        }
+        entry.counties.add(fips);
+      }
+    }
+  }
+  return { plans, counties };
+}
+
+function planRef(p) {
+  return {
+    key: segmentKey(p),
+    planCode: `${p.contractId}-${p.planId}`,
+    contractId: p.contractId,
+    planId: p.planId,
+    segmentId: p.segmentId,
+    marketingName: p.marketingName,
+    parentCarrier: p.parentCarrier,
+    premium: p.premium ?? null
+  };
+}
+
+function fieldChanges(a, b) {
+  const out = [];
+  for (const field of DIFF_FIELDS) {
+    const from = a[field] ?? null;
+    const to = b[field] ?? null;
+    if (from === to) continue;
+    const delta = typeof from === "number" && typeof to === "number" ? Math.round((to - from) * 100) / 100 : null;
+    out.push({ field, from, to, delta });
+  }
+  return out;
+}
+
+function areaList(fipsSet, side) {
+  return Array.from(fipsSet)
+    .sort()
+    .map((fips) => {
+      const c = side.counties.get(fips);
+      return { county_fips: fips, state: c?.state ?? null, county: c?.county_name ?? null };
+    });
+}
+
+function difference(a, b) {
+  const out = new Set();
+  for (const v of a) if (!b.has(v)) out.add(v);
+  return out;
+}
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+// scripts/ma-lookup.mjs
+// Terminal lookups over the built dataset (`npx ma-lookup`, or `node scripts/ma-lookup.mjs`):
+//
+//   ma-lookup zip 55401 [--year 2025]
+//   ma-lookup county 27053
+//   ma-lookup plan H2458-002-000
+//   ma-lookup search [text] [--state MN] [--type HMO] [--max-premium 0] [--min-stars 4] [--snp dual] [--carrier humana]
+//
+// Reads ./dist when it exists, else the published site; --dist and --base pick a source.
+// --format table (default), json, csv or ndjson. json and ndjson carry whole records;
+// table and csv show the main columns. Exits 1 when nothing is found, 2 on bad usage.
+import fs from "node:fs";
+import { parseArgs } from "node:util";
+import { createClient, DEFAULT_YEAR, PUBLISHED_BASES } from "../client/ma-query.mjs";
+
+const USAGE = `Usage: ma-lookup <zip|county|plan|search> [arg] [options]
+
+  zip <zip>            plans in each county the ZIP touches
+  county <fips>        carriers and plans in a county
+  plan <code>          plan details with segments and counties (H1234-001 or H1234-001-000)
+  search [text]        plans matching text and filters (all counties unless --state)
+
+Options:
+  --year <yyyy>        contract year (default ${DEFAULT_YEAR})
+  --dist <dir>         read a local build (default ./dist when it exists)
+  --base <url>         read a site instead; repeat for fallbacks
+  --format <f>         table, json, csv or ndjson (default table)
+  --state <ST>  --type <text>  --snp <true|false|text>
+  --max-premium <n>  --min-stars <n>  --carrier <text>`;
+
+const PLAN_COLUMNS = ["planKey", "marketingName", "parentCarrier", "planType", "snpType", "premium", "moop", "starRating", "state", "county", "county_fips"];
+const CARRIER_COLUMNS = ["parentCarrier", "orgName", "contractIds", "planCount", "premiumRange"];
+const FORMATS = ["table", "json", "csv", "ndjson"];
+
+// `ma-lookup ... | head` closes the pipe early; that's not an error
+process.stdout.on("error", (e) => process.exit(e.code === "EPIPE" ? 0 : 1));
+
+let args;
+try {
+  args = parseArgs({
+    allowPositionals: true,
+    options: {
+      year: { type: "string" },
+      dist: { type: "string" },
+      base: { type: "string", multiple: true },
+      format: { type: "string", short: "f", default: "table" },
+      state: { type: "string" },
+      type: { type: "string" },
+      snp: { type: "string" },
+      "max-premium": { type: "string" },
+      "min-stars": { type: "string" },
+      carrier: { type: "string" },
+      help: { type: "boolean", short: "h" }
+    }
+  });
+} catch (e) {
+  usageError(e.message);
+}
+const { values: opt, positionals } = args;
+const [command, arg] = positionals;
+if (opt.help || !command) {
+  console.log(USAGE);
+  process.exit(opt.help ? 0 : 2);
+}
+if (!FORMATS.includes(opt.format)) usageError(`--format must be one of ${FORMATS.join(", ")}`);
+const year = opt.year ? Number(opt.year) : DEFAULT_YEAR;
+if (!/^\d{4}$/.test(String(year))) usageError("--year must be a 4-digit year");
+
+const base = opt.base || opt.dist || (fs.existsSync("dist/years") ? "dist" : PUBLISHED_BASES);
+const ma = createClient({ base, year });
+
+switch (command) {
+  case "zip": {
+    if (!/^\d{5}$/.test(arg || "")) usageError("zip needs a 5-digit ZIP");
+    const rows = await ma.findPlansByZip(arg);
+    if (!rows.length) notFound(`No plans for ZIP ${arg} in ${year}.`);
+    printRows(rows, [...PLAN_COLUMNS, "countyWeight"]);
+    break;
+  }
+  case "county": {
+    if (!/^\d{5}$/.test(arg || "")) usageError("county needs a 5-digit county FIPS");
+    const file = await ma.getJson(`by-county/${arg}.json`);
+    if (!file) notFound(`No county ${arg} in ${year}.`);
+    const plans = await ma.findPlansByCounty(arg);
+    const carriers = file.carriers.map(({ plans: list, shard: _shard, ...c }) => ({
+      ...c,
+      premiumRange: c.premiumRange ?? range((list || []).map((p) => p.premium))
+    }));
+    if (opt.format === "json") {
+      print(JSON.stringify({ county_fips: file.county_fips, state: file.state, county: file.county_name, carriers, plans }, null, 2));
+    } else if (opt.format === "table") {
+      print(`${file.county_name}, ${file.state} (${file.county_fips}): ${carriers.length} carrier(s), ${plans.length} plan(s)\n`);
+      printRows(carriers, CARRIER_COLUMNS);
+      print("");
+      printRows(plans, PLAN_COLUMNS);
+    } else {
+      printRows(plans, PLAN_COLUMNS);
+    }
+    break;
+  }
+  case "plan": {
+    if (!/^[A-Z]\d{4}-\d{1,3}(-\d{1,3})?$/i.test(arg || "")) usageError("plan needs a code like H1234-001 or H1234-001-000");
+    const record = await ma.getPlanRecord(arg);
+    if (!record) notFound(`No plan ${arg} in ${year}.`);
+    if (opt.format === "json") print(JSON.stringify(record, null, 2));
+    else if (opt.format === "ndjson") print(JSON.stringify(record));
+    else {
+      // One row per segment and county
+      const rows = record.segments.flatMap((s) =>
+        s.counties.map((c) => ({ planKey: `${s.contractId}-${s.planId}-${s.segmentId}`, marketingName: s.marketingName, ...c }))
+      );
+      if (opt.format === "table") {
+        const { contractId, planId, marketingName, organization, planType, snpType, moop, starRating } = record;
+        print(`${contractId}-${planId} ${marketingName ?? ""} — ${organization ?? ""}`);
+        print(`${planType ?? ""}${snpType ? ` (${snpType} SNP)` : ""}; MOOP ${moop ?? "n/a"}; stars ${starRating ?? "n/a"}\n`);
+      }
+      printRows(rows, ["planKey", "marketingName", "state", "county", "county_fips", "premium"]);
+    }
+    break;
+  }
+  case "search": {
+    const num = (name) => {
+      const v = opt[name];
+      if (v == null) return undefined;
+      if (!Number.isFinite(Number(v))) usageError(`--${name} must be a number`);
+      return Number(v);
+    };
+    const rows = await ma.searchPlans({
+      q: positionals.slice(1).join(" ") || undefined,
+      state: opt.state,
+      type: opt.type,
+      snp: opt.snp === "true" ? true : opt.snp === "false" ? false : opt.snp,
+      maxPremium: num("max-premium"),
+      minStars: num("min-stars"),
+      carrier: opt.carrier
+    });
+    if (!rows.length) notFound("No plans match.");
+    printRows(rows, PLAN_COLUMNS);
+    break;
+  }
+  default:
+    usageError(`Unknown command: ${command}`);
+}
+
+function printRows(rows, columns) {
+  if (opt.format === "json") return print(JSON.stringify(rows, null, 2));
+  if (opt.format === "ndjson") return print(rows.map((r) => JSON.stringify(r)).join("\n"));
+  const cells = rows.map((r) => columns.map((c) => text(r[c])));
+  if (opt.format === "csv") {
+    return print([columns, ...cells].map((line) => line.map(csvCell).join(",")).join("\n"));
+  }
+  const widths = columns.map((c, i) => Math.min(40, Math.max(c.length, ...cells.map((line) => line[i].length))));
+  const fit = (s, w) => (s.length > w ? `${s.slice(0, w - 1)}…` : s.padEnd(w));
+  print([columns, ...cells].map((line) => line.map((s, i) => fit(s, widths[i])).join("  ").trimEnd()).join("\n"));
+}
+
+function text(v) {
+  if (v == null) return "";
+  return Array.isArray(v) ? v.join(" ") : String(v);
+}
+
+function csvCell(s) {
+  return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function range(values) {
+  const nums = values.filter((v) => typeof v === "number");
+  return nums.length ? [Math.min(...nums), Math.max(...nums)] : null;
+}
+
+function print(s) {
+  process.stdout.write(`${s}\n`);
+}
+
+function notFound(message) {
+  console.error(message);
+  process.exit(1);
+}
+
+function usageError(message) {
+  console.error(`${message}\n\n${USAGE}`);
+  process.exit(2);
+}
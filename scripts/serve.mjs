@@ -0,0 +1,202 @@
+// scripts/serve.mjs
+// Local HTTP server for integration tests and dashboards: the static files in dist/
+// (plus index.html, web-demo/ and client/, as the Pages deploy copies them) and JSON
+// query routes over the same files, via client/ma-query.mjs:
+//
+//   GET /api/{year}/zips/{zip}/plans       ?type=&snp=&maxPremium=&minStars=&carrier=
+//   GET /api/{year}/plans/{code}
+//   GET /api/{year}/counties/{fips}/carriers
+//   GET /api/{year}/search                 ?q=&state= and the filters above
+//   GET /api/openapi.json
+//
+// Lists take ?page= (from 1) and ?pageSize= (default 50, at most 500). Every response
+// has an ETag and honours If-None-Match, and CORS is open to any origin. Files are read
+// once and kept in memory, so restart after a rebuild.
+//
+// Env: PORT (default 8080), HOST (default 127.0.0.1), DIST_DIR (default dist).
+import http from "node:http";
+import fs from "node:fs/promises";
+import path from "node:path";
+import crypto from "node:crypto";
+import { fileURLToPath } from "node:url";
+import { createClient, filterPlans } from "../client/ma-query.mjs";
+import { openApiDocument } from "./lib/openapi.mjs";
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), "..");
+const DIST_DIR = path.resolve(process.env.DIST_DIR || "dist");
+const PORT = Number(process.env.PORT || 8080);
+const HOST = process.env.HOST || "127.0.0.1";
+const MAX_PAGE_SIZE = 500;
+// Served from the repo when dist/ has no copy
+const REPO_FILES = [/^index\.html$/, /^web-demo\//, /^client\//];
+const TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png"
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const ma = createClient({ base: DIST_DIR });
+
+const routes = [
+  [/^\/api\/openapi\.json$/, (_m, _q, req) => openApiDocument(`http://${req.headers.host || `${HOST}:${PORT}`}`)],
+  [
+    /^\/api\/(\d{4})\/zips\/([^/]+)\/plans$/,
+    async ([, y, zip], q) => {
+      if (!/^\d{5}$/.test(zip)) throw new HttpError(400, "ZIP must be 5 digits");
+      const rows = await ma.findPlansByZip(zip, { year: await yearOf(y) });
+      if (!rows.length) throw new HttpError(404, `No plans for ZIP ${zip}`);
+      return paginate(Number(y), filterPlans(rows, filtersOf(q)), q);
+    }
+  ],
+  [
+    /^\/api\/(\d{4})\/plans\/([^/]+)$/,
+    async ([, y, code]) => {
+      const plan = await ma.getPlan(code, await yearOf(y));
+      if (!plan) throw new HttpError(404, `No plan ${code}`);
+      return plan;
+    }
+  ],
+  [
+    /^\/api\/(\d{4})\/counties\/([^/]+)\/carriers$/,
+    async ([, y, fips], q) => {
+      if (!/^\d{5}$/.test(fips)) throw new HttpError(400, "County FIPS must be 5 digits");
+      const file = await ma.getJson(`by-county/${fips}.json`, await yearOf(y));
+      if (!file) throw new HttpError(404, `No county ${fips}`);
+      // Sharded files carry premiumRange already; inline ones get it from their plans
+      const carriers = file.carriers.map(({ plans, shard, ...c }) => {
+        if (!plans) return c;
+        const premiums = plans.map((p) => p.premium).filter((v) => typeof v === "number");
+        return { ...c, premiumRange: premiums.length ? [Math.min(...premiums), Math.max(...premiums)] : null };
+      });
+      return paginate(Number(y), carriers, q);
+    }
+  ],
+  [
+    /^\/api\/(\d{4})\/search$/,
+    async ([, y], q) => {
+      const rows = await ma.searchPlans({ ...filtersOf(q), q: q.get("q") || undefined, state: q.get("state") || undefined, year: await yearOf(y) });
+      return paginate(Number(y), rows, q);
+    }
+  ]
+];
+
+const server = http.createServer(async (req, res) => {
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Expose-Headers", "ETag");
+  if (req.method === "OPTIONS") {
+    res.writeHead(204, {
+      "Access-Control-Allow-Methods": "GET, HEAD, OPTIONS",
+      "Access-Control-Allow-Headers": req.headers["access-control-request-headers"] || "*",
+      "Access-Control-Max-Age": "86400"
+    });
+    return res.end();
+  }
+  if (req.method !== "GET" && req.method !== "HEAD") return sendJson(req, res, 405, { error: "Method not allowed" });
+
+  const url = new URL(req.url, "http://localhost");
+  let pathname;
+  try {
+    pathname = decodeURIComponent(url.pathname);
+  } catch {
+    return sendJson(req, res, 400, { error: "Malformed URL escape" }); // e.g. "/%E0%A4%A"
+  }
+  try {
+    for (const [re, handler] of routes) {
+      const m = pathname.match(re);
+      if (m) return sendJson(req, res, 200, await handler(m, url.searchParams, req));
+    }
+    if (pathname.startsWith("/api/")) throw new HttpError(404, "No such route");
+    await sendFile(req, res, pathname);
+  } catch (e) {
+    if (!(e instanceof HttpError)) console.error(`[WARN] ${req.method} ${req.url}: ${e.stack || e.message}`);
+    sendJson(req, res, e.status || 500, { error: e instanceof HttpError ? e.message : "Internal error" });
+  }
+});
+
+server.listen(PORT, HOST, () => {
+  console.log(`[INFO] Serving ${DIST_DIR} at http://${HOST}:${PORT}/ (API description: /api/openapi.json)`);
+});
+
+async function yearOf(y) {
+  try {
+    await fs.access(path.join(DIST_DIR, "years", y));
+  } catch {
+    throw new HttpError(404, `No data for ${y}`);
+  }
+  return Number(y);
+}
+
+function filtersOf(q) {
+  const num = (name) => {
+    const v = q.get(name);
+    if (v == null || v === "") return undefined;
+    if (!Number.isFinite(Number(v))) throw new HttpError(400, `${name} must be a number`);
+    return Number(v);
+  };
+  const snp = q.get("snp");
+  return {
+    type: q.get("type") || undefined,
+    snp: snp === "true" ? true : snp === "false" ? false : snp || undefined,
+    maxPremium: num("maxPremium"),
+    minStars: num("minStars"),
+    carrier: q.get("carrier") || undefined
+  };
+}
+
+function paginate(year, items, q) {
+  const page = Number(q.get("page") || 1);
+  const pageSize = Number(q.get("pageSize") || 50);
+  if (!Number.isInteger(page) || page < 1) throw new HttpError(400, "page must be a whole number from 1");
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    throw new HttpError(400, `pageSize must be a whole number from 1 to ${MAX_PAGE_SIZE}`);
+  }
+  return { year, total: items.length, page, pageSize, items: items.slice((page - 1) * pageSize, page * pageSize) };
+}
+
+function sendJson(req, res, status, data) {
+  const body = JSON.stringify(data);
+  const etag = `"${crypto.createHash("sha1").update(body).digest("base64url")}"`;
+  send(req, res, status, body, { "Content-Type": TYPES[".json"], ETag: etag, "Cache-Control": "no-cache" });
+}
+
+async function sendFile(req, res, pathname) {
+  let rel = path.posix.normalize(pathname).replace(/^\/+/, "");
+  if (!rel || rel.endsWith("/")) rel += "index.html";
+  if (rel.startsWith("..")) throw new HttpError(404, "Not found");
+  const candidates = [path.join(DIST_DIR, rel)];
+  if (REPO_FILES.some((re) => re.test(rel))) candidates.push(path.join(ROOT, rel));
+  for (const file of candidates) {
+    let stat;
+    try {
+      stat = await fs.stat(file);
+    } catch {
+      continue;
+    }
+    if (!stat.isFile()) continue;
+    const etag = `W/"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`;
+    const type = TYPES[path.extname(file).toLowerCase()] || "application/octet-stream";
+    return send(req, res, 200, await fs.readFile(file), { "Content-Type": type, ETag: etag, "Cache-Control": "no-cache" });
+  }
+  throw new HttpError(404, "Not found");
+}
+
+function send(req, res, status, body, headers) {
+  const tags = String(req.headers["if-none-match"] || "").split(/\s*,\s*/);
+  if (status === 200 && (tags.includes(headers.ETag) || tags.includes("*"))) {
+    res.writeHead(304, { ETag: headers.ETag, "Cache-Control": headers["Cache-Control"] });
+    return res.end();
+  }
+  res.writeHead(status, { ...headers, "Content-Length": Buffer.byteLength(body) });
+  res.end(req.method === "HEAD" ? undefined : body);
+}
@@ -0,0 +1,28 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createQualityReport } from "../scripts/lib/quality-report.mjs";
+
+test("finish: kept leaves out skipped rows and dropped duplicates", () => {
+  const quality = createQualityReport(2025);
+  const rows = [
+    ["H1234-001-000", "25025"],
+    ["H1234-001-000", "25025"], // duplicate
+    ["H1234-001-000", "25017"],
+    ["H1234-002-000", "25025"]
+  ];
+  for (const [key, fips] of rows) {
+    quality.row();
+    quality.firstInCounty(key, fips);
+  }
+  quality.row();
+  quality.skip("missing-contract-or-plan", { "Contract ID": "" });
+
+  const report = quality.finish([{ zip: "02134", counties: [["25025", 1]] }], new Map([["25025", {}]]));
+  assert.equal(report.rows, 5);
+  assert.equal(report.skipped, 1);
+  assert.equal(report.duplicates.count, 1);
+  assert.deepEqual(report.duplicates.rows, [{ key: "H1234-001-000", county_fips: "25025", rows: 2 }]);
+  assert.equal(report.kept, 3);
+  assert.equal(report.lossRate, 0.2);
+  assert.equal(report.zctasWithoutPlans.count, 0);
+});
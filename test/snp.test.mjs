@@ -0,0 +1,28 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { classifySnp, isEmployerGroup } from "../scripts/lib/snp.mjs";
+
+test("classifySnp: negative and unknown indicators are not SNPs", () => {
+  for (const v of ["", null, "No", "N", "false", "None", "Non-SNP", "N/A", "NA", "Not Applicable", "Standard"]) {
+    assert.equal(classifySnp(v, "Acme Gold (HMO)").type, "none", JSON.stringify(v));
+  }
+});
+
+test("classifySnp: kinds from the Landscape text, the plan name or the SNP report", () => {
+  assert.equal(classifySnp("Dual-Eligible", "").type, "D-SNP");
+  assert.equal(classifySnp("Chronic or Disabling Condition", "").type, "C-SNP");
+  assert.equal(classifySnp("Institutional", "").type, "I-SNP");
+  assert.equal(classifySnp("No", "Acme Dual (HMO D-SNP)").type, "D-SNP");
+  assert.equal(classifySnp("Yes", "Acme Gold (HMO)").type, "SNP");
+  assert.deepEqual(classifySnp("Yes", "", { type: "D-SNP", integration: "FIDE", conditions: null }), {
+    type: "D-SNP",
+    integration: "FIDE",
+    conditions: null
+  });
+});
+
+test("isEmployerGroup: 800-series plans and employer plan types", () => {
+  assert.equal(isEmployerGroup("801", "Local PPO"), true);
+  assert.equal(isEmployerGroup("001", "Employer/Union Only Direct Contract PFFS"), true);
+  assert.equal(isEmployerGroup("001", "Local HMO"), false);
+});
@@ -0,0 +1,148 @@
+/*! PlanLoader — shared plan JSON loader for index.html and the web demo.
+ *  Exposes a global `PlanLoader` with:
+ *    PlanLoader.parse(id, defaults?)        // any plan identifier -> ref, or null
+ *    PlanLoader.canonicalKey(id, defaults?) // -> "2025-H1234-001-000" (year-contract-pbp-segment)
+ *    PlanLoader.fetchJson(year, rel)        // years/<year>/<rel> -> Promise<{json, url} | null>
+ *    PlanLoader.load(id, defaults?)         // -> Promise<{json, url, key}>; throws when not found
+ *    PlanLoader.configure({ bases })        // override the fallback chain
+ *  and `window.__loadPlanJSON(contract, pbp, year, segment, cmsKey)`, which PlanPicker calls.
+ *
+ *  Identifiers: a CMS key ("2025-H1234-001-000"), a plan key ("H1234-001-000"), a plan code
+ *  ("H1234-001", meaning segment 000), the run-together CMS form ("H1234001000"), with "-",
+ *  "_" or spaces between parts, or an object with contractId/contract, planId/pbp and
+ *  segmentId/segment (and optionally year or cmsPlanKey).
+ *
+ *  `load` reads the segment's own plan-details/<CODE>-<SEGMENT>.json. For builds without
+ *  those, it merges plan-details/<CODE>.json with the segment's row of plans/<CODE>.json;
+ *  segment 000 also resolves from files that predate segment rows.
+ *
+ *  Files come from the first base that has them: this site (the directory above
+ *  web-demo/), then GitHub Pages, then raw.githubusercontent.com. Results are memoized.
+ */
+(function () {
+  const DEFAULT_YEAR = '2025';
+  const here = document.currentScript?.src;
+  let bases = [
+    here ? new URL('../', here).href.replace(/\/$/, '') : '.',
+    'https://fitzgema.github.io/MA-PartD-CY2025',
+    'https://raw.githubusercontent.com/fitzgema/MA-PartD-CY2025/main',
+  ];
+  const files = new Map(); // "year/rel" -> Promise<{json, url} | null>
+  const plans = new Map(); // canonical key -> Promise<{json, url, key}>
+
+  const pad3 = (v) => String(v ?? '').replace(/\D/g, '').padStart(3, '0').slice(-3);
+  const COMPACT = /^(?:(\d{4})[-_ ]?)?([A-Z]\d{4})[-_ ]?(\d{1,3})(?:[-_ ]?(\d{1,3}))?$/;
+
+  function parse(id, defaults = {}) {
+    let year = defaults.year;
+    let contract;
+    let pbp;
+    let segment = defaults.segment;
+    if (id && typeof id === 'object') {
+      if (id.cmsPlanKey || id.CMSPlanKey) return parse(id.cmsPlanKey || id.CMSPlanKey, defaults);
+      year = id.year ?? id.planYear ?? year;
+      contract = id.contractId ?? id.contract ?? id.contract_id ?? id.ContractID;
+      pbp = id.planId ?? id.pbp ?? id.plan_id ?? id.PBP ?? id.PlanID;
+      segment = id.segmentId ?? id.segment_id ?? id.segment ?? segment;
+    } else {
+      // Fixed-width run-together forms first: H1234001 / H1234001000
+      const s = String(id ?? '').trim().toUpperCase();
+      const m = s.match(/^(?:(\d{4})-)?([A-Z]\d{4})(\d{3})(\d{3})?$/) || s.match(COMPACT);
+      if (!m) return null;
+      [, year = year, contract, pbp, segment = segment] = m;
+    }
+    contract = String(contract ?? '').trim().toUpperCase();
+    if (!/^[A-Z]\d{4}$/.test(contract) || !/\d/.test(String(pbp ?? ''))) return null;
+    year = String(year || DEFAULT_YEAR);
+    const planId = pad3(pbp);
+    const segmentId = segment != null && segment !== '' ? pad3(segment) : '000';
+    const code = `${contract}-${planId}`;
+    return {
+      year,
+      contractId: contract,
+      planId,
+      segmentId,
+      code,
+      key: `${code}-${segmentId}`,
+      cmsPlanKey: `${year}-${code}-${segmentId}`,
+    };
+  }
+
+  function canonicalKey(id, defaults) {
+    return parse(id, defaults)?.cmsPlanKey ?? null;
+  }
+
+  function fetchJson(year, rel) {
+    const k = `${year}/${rel}`;
+    if (!files.has(k)) files.set(k, fetchFirst(bases.map((b) => `${b}/years/${year}/${rel}`)));
+    return files.get(k);
+  }
+
+  async function fetchFirst(urls) {
+    for (const url of urls) {
+      try {
+        const res = await fetch(url, { cache: 'no-store' });
+        if (!res.ok) throw new Error(res.status);
+        return { json: await res.json(), url };
+      } catch (_) {}
+    }
+    return null;
+  }
+
+  function load(id, defaults) {
+    const ref = parse(id, defaults);
+    if (!ref) return Promise.reject(new Error(`Not a plan identifier: ${JSON.stringify(id)}`));
+    if (!plans.has(ref.cmsPlanKey)) {
+      const p = resolve(ref);
+      p.catch(() => plans.delete(ref.cmsPlanKey)); // let a later call retry
+      plans.set(ref.cmsPlanKey, p);
+    }
+    return plans.get(ref.cmsPlanKey);
+  }
+
+  async function resolve(ref) {
+    const own = await fetchJson(ref.year, `plan-details/${ref.key}.json`);
+    if (own) {
+      const { segments: _ids, ...plan } = own.json || {};
+      return {
+        json: { ...plan, segmentId: ref.segmentId, year: Number(ref.year), cmsPlanKey: ref.cmsPlanKey },
+        url: own.url,
+        key: ref.cmsPlanKey,
+      };
+    }
+    // Builds from before per-segment files
+    const [details, segments] = await Promise.all([
+      fetchJson(ref.year, `plan-details/${ref.code}.json`),
+      fetchJson(ref.year, `plans/${ref.code}.json`),
+    ]);
+    const rows = Array.isArray(segments?.json) ? segments.json : [];
+    // Rows without a segmentId are from before segments were split out: segment 000
+    const row = rows.find((r) => (r.segmentId ?? '000') === ref.segmentId);
+    if (!row && (rows.length || ref.segmentId !== '000')) {
+      throw new Error(`No segment ${ref.segmentId} for ${ref.code} in ${ref.year}`);
+    }
+    if (!details && !row) throw new Error(`No plan ${ref.code} in ${ref.year}`);
+    const { segments: _ids, ...plan } = details?.json || {};
+    return {
+      json: { ...plan, ...(row || {}), segmentId: ref.segmentId, year: Number(ref.year), cmsPlanKey: ref.cmsPlanKey },
+      url: (details || segments).url,
+      key: ref.cmsPlanKey,
+    };
+  }
+
+  window.PlanLoader = {
+    parse,
+    canonicalKey,
+    fetchJson,
+    load,
+    configure(opts = {}) {
+      if (Array.isArray(opts.bases) && opts.bases.length) bases = opts.bases.map((b) => String(b).replace(/\/+$/, ''));
+      files.clear();
+      plans.clear();
+    },
+  };
+
+  // PlanPicker's hook: the cmsKey it builds wins; the parts are the fallback
+  window.__loadPlanJSON = (contract, pbp, year, segment, cmsKey) =>
+    load(cmsKey || { contract, pbp, segment }, { year });
+})();
@@ -10,6 +10,9 @@
  *    PlanViewer.show(data, meta?)             // open the drawer with a plan object
  *    PlanViewer.close()                       // close the drawer
  *
+ *  Data is checked against the core of the published plan schema (dist/schemas/v1);
+ *  anything that doesn't match gets a warning badge next to the title.
+ *
  *  Minimal integration:
  *    1) Include plan-viewer.css & plan-viewer.js on your page.
  *    2) Call PlanViewer.init() once.
@@ -31,7 +34,7 @@
     for (const [k, v] of Object.entries(attrs)) {
       if (k === 'class') n.className = v;
       else if (k === 'html') n.innerHTML = v;
-      else if (k.startsWith('on') && typeof v === 'function') n.addEventListener(k.slice(2), v);
+      else if (k.startsWith('on') && typeof v === 'function') n.addEventListener(k.slice(2).toLowerCase(), v);
       else n.setAttribute(k, v);
     }
     for (const c of [].concat(children)) {
@@ -127,6 +130,45 @@
     return details;
   }
 
+  // Core of schemas/v1 (common.schema.json#/$defs/countyPlan, plan-details.schema.json)
+  const SCHEMA_MAJOR = '1';
+  const AMOUNT_FIELDS = ['premium', 'partCPremium', 'partDPremium', 'moop', 'drugDeductible', 'starRating', 'partBGiveback'];
+
+  // Reasons `p` doesn't match the published plan shape; empty when it does
+  function schemaIssues(p) {
+    if (!p || typeof p !== 'object' || Array.isArray(p)) return ['Not a plan object'];
+    const issues = [];
+    if (p.schemaVersion != null && String(p.schemaVersion).split('.')[0] !== SCHEMA_MAJOR) {
+      issues.push(`schemaVersion ${p.schemaVersion} (viewer supports ${SCHEMA_MAJOR}.x)`);
+    }
+    if (!/^[A-Z]\d{4}$/.test(p.contractId ?? '')) issues.push('contractId missing or not like H1234');
+    if (!/^\d{3}$/.test(p.planId ?? '')) issues.push('planId missing or not 3 digits');
+    if (p.segmentId != null && !/^\d{3}$/.test(p.segmentId)) issues.push('segmentId not 3 digits');
+    for (const f of AMOUNT_FIELDS) {
+      if (p[f] !== undefined && p[f] !== null && typeof p[f] !== 'number') issues.push(`${f} is not a number`);
+    }
+    return issues;
+  }
+
+  function renderSchemaBadge(data) {
+    document.getElementById('pv-schema-badge')?.remove();
+    const issues = schemaIssues(data);
+    if (!issues.length) return;
+    document.getElementById('pv-title').after(
+      el('span', { id: 'pv-schema-badge', class: 'pv-badge-warn', title: issues.join('\n') }, '⚠ Schema mismatch')
+    );
+  }
+
+  const BENEFIT_GROUPS = {
+    dental: ['Dental', { annualMax: ['Annual max', '$'], preventiveMax: ['Preventive max', '$'] }],
+    vision: ['Vision', { eyewearAllowance: ['Eyewear', '$'], routineExams: ['Exams / year'] }],
+    hearing: ['Hearing', { hearingAidAllowance: ['Aid allowance', '$'], hearingAids: ['Aids'] }],
+    otc: ['OTC', { allowance: ['Allowance', '$'], period: ['Period'], quarterlyAllowance: ['Per quarter', '$'] }],
+    transportation: ['Transportation', { trips: ['Trips / year'] }],
+    fitness: ['Fitness', { covered: ['Covered'] }],
+    partB: ['Part B', { giveback: ['Giveback / mo', '$'] }]
+  };
+
   function summarizePlan(p, meta) {
     // We try to create a helpful header from whatever fields exist.
     // We intentionally probe common field names but won't break if missing.
@@ -138,8 +180,12 @@
     const year = g('year') || g('planYear') || g('PlanYear');
     const org = g('orgName') || g('organizationName') || g('carrier') || g('ParentOrg');
     const county = g('county') || g('CountyName') || g('serviceArea');
-    const premium = g('premium') || g('monthlyPremium') || g('MonthlyPremium');
-    const star = g('star') || g('StarRating') || g('starRating');
+    // ?? rather than || here: a $0 premium or deductible is a real value
+    const premium = g('premium', null) ?? g('monthlyPremium', null) ?? g('MonthlyPremium', null) ?? g('premiumRaw');
+    const moop = g('moop', null) ?? g('MOOP', null) ?? g('moopRaw');
+    const deductible = g('drugDeductible', null) ?? g('drugDeductibleRaw');
+    const star = g('star', null) ?? g('StarRating', null) ?? g('starRating', null) ?? g('starRatingRaw');
+    const money = (v) => (typeof v === 'number' ? `$${v.toFixed(2)}` : v);
 
     const items = [
       ...(meta?.hint ? [['Source', meta.hint]] : []),
@@ -150,7 +196,9 @@
       ['Year', year],
       ['Org', org],
       ['County/Area', county],
-      ['Premium', premium],
+      ['Premium', money(premium)],
+      ['MOOP', money(moop)],
+      ['Drug Deductible', money(deductible)],
       ['Star', star],
     ].filter(([,v]) => v != null && v !== '');
 
@@ -161,9 +209,85 @@
         el('div', { class: 'v' }, String(v))
       ]));
     });
+
+    // Supplemental benefits (plan-details `benefits`), one card per category
+    Object.entries(BENEFIT_GROUPS).forEach(([cat, [title, fields]]) => {
+      const b = p?.benefits?.[cat];
+      if (!b) return;
+      const lines = Object.entries(b).filter(([, v]) => v != null).map(([f, v]) => {
+        const [label, unit] = fields[f] || [f];
+        return `${label}: ${unit === '$' ? money(v) : typeof v === 'boolean' ? (v ? 'Yes' : 'No') : v}`;
+      });
+      if (!lines.length) return;
+      grid.appendChild(el('div', { class: 'pv-kv' }, [
+        el('span', { class: 'k' }, title),
+        el('div', { class: 'v' }, lines.map((l) => el('div', {}, l)))
+      ]));
+    });
+
+    // Star Ratings (plan-details `stars`): summary ratings and flags, measures collapsed
+    const stars = p?.stars;
+    if (stars) {
+      const val = (v, raw) => String(v ?? raw ?? '—');
+      const flags = [
+        stars.lowPerforming && ['Low performing', 'pv-flag pv-flag-bad'],
+        stars.highPerforming && ['High performing', 'pv-flag'],
+        stars.newContract && ['New contract', 'pv-flag'],
+      ].filter(Boolean);
+      const v = el('div', { class: 'v' }, [
+        el('div', {}, `Overall: ${val(stars.overall, stars.overallRaw)}`),
+        el('div', {}, `Part C: ${val(stars.partC, stars.partCRaw)} · Part D: ${val(stars.partD, stars.partDRaw)}`),
+        flags.length ? el('div', {}, flags.map(([label, cls]) => el('span', { class: cls }, label))) : null,
+      ]);
+      const measures = stars.measures || [];
+      if (measures.length || (stars.domains || []).length) {
+        v.appendChild(el('details', {}, [
+          el('summary', {}, `Star measures (${measures.length})`),
+          ...(stars.domains || []).map((d) => el('div', {}, [el('strong', {}, `${d.id} ${d.name}: `), val(d.stars, d.starsRaw)])),
+          ...measures.map((m) => el('div', {}, [
+            `${m.id} ${m.name}: ${val(m.stars, m.starsRaw)}`,
+            m.score != null ? el('span', { class: 'pv-muted' }, ` (score ${m.score})`) : null,
+          ])),
+        ]));
+      }
+      grid.appendChild(el('div', { class: 'pv-kv' }, [el('span', { class: 'k' }, 'Star Ratings'), v]));
+    }
+
+    // Crosswalk: the segment's versions in the adjacent years (previousPlanKey / nextPlanKey,
+    // or the plan codes in files without keys)
+    const planYear = Number(year || document.getElementById('year')?.value) || null;
+    [
+      ['Prior year', p?.previousPlanKey || p?.previousPlanCode, planYear && planYear - 1, p?.crosswalkStatus],
+      ['Next year', p?.nextPlanKey || p?.nextPlanCode, planYear && planYear + 1, p?.nextCrosswalkStatus],
+    ].forEach(([k, code, y, status]) => {
+      if (!code && !status) return;
+      const v = el('div', { class: 'v' });
+      if (code && y) {
+        v.appendChild(el('button', { class: 'pv-btn', onClick: () => jumpToPlanYear(y, code) }, `${code} (CY${y})`));
+      } else if (code) {
+        v.appendChild(document.createTextNode(code));
+      }
+      if (status) v.appendChild(el('span', { class: 'pv-muted' }, ` ${status}`));
+      grid.appendChild(el('div', { class: 'pv-kv' }, [el('span', { class: 'k' }, k), v]));
+    });
     return grid;
   }
 
+  // Switch the page's `year` selector (index.html) to `year`, naming the plan code to open there
+  function jumpToPlanYear(year, code) {
+    const sel = document.getElementById('year');
+    if (!sel) {
+      toast(`${code} is this plan's CY${year} version.`);
+      return;
+    }
+    if (![...sel.options].some((o) => o.value === String(year))) {
+      sel.appendChild(el('option', { value: String(year) }, String(year)));
+    }
+    sel.value = String(year);
+    sel.dataset.planCode = code;
+    sel.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
   function setActiveTab(i) {
     state.activeTab = i;
     const tabs = document.querySelectorAll('#pv-tabs .pv-tab');
@@ -222,6 +346,7 @@
       [data?.contract || data?.contractId || data?.contract_id, data?.planId || data?.pbp || data?.plan_id]
         .filter(Boolean).join(' - ') || 'Plan Details';
     titleEl.textContent = titleText;
+    renderSchemaBadge(data);
 
     // Summary (best-effort)
     summaryEl.appendChild(summarizePlan(data, meta));
@@ -0,0 +1,227 @@
+/*! SearchBox — type-ahead over the build's search index (years/<year>/search/).
+ *  Needs PlanLoader (plan-loader.js), which it fetches through. Exposes a global `SearchBox`:
+ *    SearchBox.search(year, text, limit?) // -> Promise<[{kind, id, label, detail, refs?}]>; null when the year has no index
+ *    SearchBox.docs(year, numbers)        // doc numbers (a carrier's refs) -> Promise<[doc]>
+ *    SearchBox.attach(input, { year, onPick }) // dropdown under `input`; returns { list(docs, heading), close() }
+ *  kind is "c" (carrier), "p" (plan; id is "H1234-001-000") or "k" (county; id is the FIPS).
+ *
+ *  Every word typed must match: the same word scores 3, a word it starts (prefix) 2, and a
+ *  word one edit away 1 (two for words of 8+ letters; swapping two letters is one edit).
+ *  Only the terms files for the words' first two letters are fetched (and, for typos, the
+ *  file with those two swapped), then the doc chunks of the top hits.
+ */
+(function () {
+  const STOPWORDS = new Set(['the', 'of', 'and', 'for', 'inc', 'llc', 'co', 'corp', 'company', 'county']);
+
+  // Same as tokenize() in scripts/lib/search-index.mjs
+  function tokenize(text) {
+    return String(text ?? '')
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .split(/[^a-z0-9]+/)
+      .filter((t) => t.length > 1 && !STOPWORDS.has(t));
+  }
+
+  async function file(year, rel) {
+    return (await PlanLoader.fetchJson(year, `search/${rel}`))?.json ?? null;
+  }
+
+  // Edit distance, at most `max` (returns max + 1 beyond it); adjacent swaps count once
+  function distance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prev2 = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const row = [i];
+      let best = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+        if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) row[j] = Math.min(row[j], prev2[j - 2] + 1);
+        best = Math.min(best, row[j]);
+      }
+      if (best > max) return max + 1;
+      prev2 = prev;
+      prev = row;
+    }
+    return prev[b.length];
+  }
+
+  // doc -> best score for one word
+  async function matchWord(year, index, word) {
+    const maxEdits = word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0;
+    const shards = new Set([word.slice(0, 2)]);
+    if (maxEdits) shards.add(word[1] + word[0]);
+    const have = new Set(index.terms || []);
+    const lists = await Promise.all(Array.from(shards).filter((s) => have.has(s)).map((s) => file(year, `terms/${s}.json`)));
+    const scores = new Map();
+    for (const terms of lists.filter(Boolean)) {
+      for (const [term, docs] of Object.entries(terms)) {
+        const score = term === word ? 3 : term.startsWith(word) ? 2 : maxEdits && distance(word, term, maxEdits) <= maxEdits ? 1 : 0;
+        if (score) docs.forEach((d) => scores.set(d, Math.max(scores.get(d) || 0, score)));
+      }
+    }
+    return scores;
+  }
+
+  async function docs(year, numbers) {
+    const index = await file(year, 'index.json');
+    if (!index) return [];
+    const chunks = new Map();
+    numbers.forEach((n) => {
+      const c = Math.floor(n / index.chunkSize);
+      if (!chunks.has(c)) chunks.set(c, file(year, `docs/${c}.json`));
+    });
+    const out = [];
+    for (const n of numbers) {
+      const d = (await chunks.get(Math.floor(n / index.chunkSize)))?.[n % index.chunkSize];
+      if (d) out.push({ kind: d[0], id: d[1], label: d[2], detail: d[3], refs: d[4] });
+    }
+    return out;
+  }
+
+  async function search(year, text, limit = 10) {
+    const words = Array.from(new Set(tokenize(text)));
+    const index = await file(year, 'index.json');
+    if (!index) return null;
+    if (!words.length) return [];
+    const perWord = await Promise.all(words.map((w) => matchWord(year, index, w)));
+    const [first, ...rest] = perWord.sort((a, b) => a.size - b.size);
+    const hits = [];
+    for (const [d, score] of first) {
+      let total = score;
+      for (const s of rest) {
+        if (!s.has(d)) {
+          total = 0;
+          break;
+        }
+        total += s.get(d);
+      }
+      if (total) hits.push([d, total]);
+    }
+    hits.sort((a, b) => b[1] - a[1] || a[0] - b[0]);
+    return docs(year, hits.slice(0, limit).map(([d]) => d));
+  }
+
+  function attach(input, opts = {}) {
+    const year = () => String(typeof opts.year === 'function' ? opts.year() : opts.year || '2025');
+    input.setAttribute('autocomplete', 'off');
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-expanded', 'false');
+    const box = document.createElement('div');
+    box.setAttribute('role', 'listbox');
+    Object.assign(box.style, {
+      position: 'absolute',
+      zIndex: 9997,
+      minWidth: '320px',
+      maxHeight: '60vh',
+      overflow: 'auto',
+      background: '#0f172a',
+      color: '#e5e7eb',
+      border: '1px solid #1e293b',
+      borderRadius: '10px',
+      boxShadow: '0 10px 30px rgba(0,0,0,0.35)',
+      display: 'none',
+    });
+    document.body.appendChild(box);
+
+    let items = [];
+    let active = -1;
+    let seq = 0;
+
+    function place() {
+      const r = input.getBoundingClientRect();
+      box.style.left = `${r.left + window.scrollX}px`;
+      box.style.top = `${r.bottom + window.scrollY + 4}px`;
+      box.style.width = `${Math.max(r.width, 320)}px`;
+    }
+
+    function close() {
+      box.style.display = 'none';
+      input.setAttribute('aria-expanded', 'false');
+      items = [];
+      active = -1;
+    }
+
+    function list(found, heading) {
+      items = found || [];
+      active = items.length ? 0 : -1;
+      box.innerHTML = '';
+      const note = (text) => {
+        const div = document.createElement('div');
+        Object.assign(div.style, { padding: '8px 12px', color: '#94a3b8', fontSize: '12px' });
+        div.textContent = text;
+        box.appendChild(div);
+      };
+      if (heading) note(heading);
+      if (found === null) note(`No search index for ${year()}.`);
+      else if (!items.length) note('No matches.');
+      items.forEach((doc, i) => {
+        const row = document.createElement('div');
+        row.setAttribute('role', 'option');
+        Object.assign(row.style, { padding: '8px 12px', cursor: 'pointer', borderTop: '1px solid #1e293b' });
+        const label = document.createElement('div');
+        label.textContent = doc.label;
+        const detail = document.createElement('div');
+        Object.assign(detail.style, { color: '#94a3b8', fontSize: '12px' });
+        detail.textContent = doc.detail;
+        row.append(label, detail);
+        row.addEventListener('mouseenter', () => highlight(i));
+        row.addEventListener('mousedown', (ev) => {
+          ev.preventDefault(); // keep focus in the input
+          pick(i);
+        });
+        box.appendChild(row);
+      });
+      place();
+      box.style.display = 'block';
+      input.setAttribute('aria-expanded', 'true');
+      highlight(active);
+    }
+
+    function highlight(i) {
+      active = i;
+      box.querySelectorAll('[role="option"]').forEach((row, j) => {
+        row.style.background = j === i ? '#111b2e' : '';
+        row.setAttribute('aria-selected', j === i ? 'true' : 'false');
+      });
+    }
+
+    function pick(i) {
+      const doc = items[i];
+      if (!doc) return;
+      close();
+      if (typeof opts.onPick === 'function') opts.onPick(doc, { year: year(), list });
+    }
+
+    let timer = null;
+    input.addEventListener('input', () => {
+      clearTimeout(timer);
+      const text = input.value;
+      if (!tokenize(text).length) return close();
+      timer = setTimeout(async () => {
+        const mine = ++seq;
+        const found = await search(year(), text);
+        if (mine === seq && input.value === text) list(found); // typed on meanwhile
+      }, 150);
+    });
+    input.addEventListener('keydown', (ev) => {
+      if (box.style.display === 'none') return;
+      if (ev.key === 'ArrowDown' || ev.key === 'ArrowUp') {
+        ev.preventDefault();
+        const n = items.length;
+        if (n) highlight((active + (ev.key === 'ArrowDown' ? 1 : n - 1)) % n);
+      } else if (ev.key === 'Enter') {
+        ev.preventDefault();
+        pick(active);
+      } else if (ev.key === 'Escape') {
+        close();
+      }
+    });
+    input.addEventListener('blur', () => setTimeout(close, 150));
+
+    return { list, close };
+  }
+
+  window.SearchBox = { search, docs, attach };
+})();